@@ -1,4 +1,6 @@
 // AI Worker for Solitaire - Phase 2 Enhanced with Non-blocking Operations
+importScripts('klondike-engine.js');
+
 class SolitaireAIWorker {
     constructor() {
         console.log('🤖 Phase 2 AI Worker initialized');
@@ -24,6 +26,9 @@ class SolitaireAIWorker {
         this.RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
         this.RED_SUITS = new Set(['♥', '♦']);
         this.BLACK_SUITS = new Set(['♠', '♣']);
+        
+        // Shared rules engine (same legality checks as the page and solver)
+        this.engine = new KlondikeEngine();
     }
 
     analyzePosition(gameState) {
@@ -119,15 +124,19 @@ class SolitaireAIWorker {
         return true;
     }
     
+    /**
+     * Play by the page's rules (see KlondikeEngine); cached analyses were made under the old ones
+     */
+    setRules(rules) {
+        const engine = new KlondikeEngine(rules);
+        if (JSON.stringify(engine.rules) === JSON.stringify(this.engine.rules)) return;
+        this.engine = engine;
+        this.analysisCache.clear();
+    }
+    
     hashGameState(gameState) {
         try {
-            // Create a simple hash of the game state for caching
-            const tableauSizes = gameState.tableau.map(pile => pile.length);
-            const foundationSizes = this.SUITS.map(suit => gameState.foundations[suit].length);
-            const wasteSize = gameState.waste.length;
-            const stockSize = gameState.stock.length;
-            
-            return `T:${tableauSizes.join(',')}|F:${foundationSizes.join(',')}|W:${wasteSize}|S:${stockSize}`;
+            return this.engine.hashState(gameState);
         } catch (error) {
             return `error_${Date.now()}`;
         }
@@ -419,10 +428,8 @@ class SolitaireAIWorker {
         
         // Don't move cards that could go to foundation to tableau instead
         if (move.type === 'waste_to_tableau' && move.card) {
-            for (const [suit, foundationPile] of Object.entries(gameState.foundations)) {
-                if (this.canPlaceOnFoundation(move.card, foundationPile)) {
-                    return true; // Should go to foundation instead
-                }
+            if (this.canPlaceOnFoundation(move.card, gameState.foundations)) {
+                return true; // Should go to foundation instead
             }
         }
         
@@ -432,7 +439,8 @@ class SolitaireAIWorker {
     revealsHiddenCard(move, gameState) {
         if (move.type === 'tableau_to_foundation' || move.type === 'tableau_to_tableau') {
             const pile = gameState.tableau[move.from?.index];
-            return pile && pile.length > 1 && !pile[pile.length - 2].faceUp;
+            const remaining = pile ? pile.length - (move.count || 1) : 0;
+            return remaining > 0 && !pile[remaining - 1].faceUp;
         }
         return false;
     }
@@ -577,226 +585,114 @@ class SolitaireAIWorker {
     }
 
     cloneGameState(state) {
-        return {
-            tableau: state.tableau.map(pile => 
-                pile.map(card => ({
-                    id: card.id,
-                    suit: card.suit,
-                    value: card.value,
-                    faceUp: card.faceUp
-                }))
-            ),
-            foundations: Object.fromEntries(
-                Object.entries(state.foundations).map(([suit, pile]) => [
-                    suit,
-                    pile.map(card => ({
-                        id: card.id,
-                        suit: card.suit,
-                        value: card.value,
-                        faceUp: card.faceUp
-                    }))
-                ])
-            ),
-            stock: state.stock.map(card => ({
-                id: card.id,
-                suit: card.suit,
-                value: card.value,
-                faceUp: card.faceUp
-            })),
-            waste: state.waste.map(card => ({
-                id: card.id,
-                suit: card.suit,
-                value: card.value,
-                faceUp: card.faceUp
-            })),
-            drawMode: state.drawMode || 3
-        };
+        return this.engine.cloneState(state);
     }
 
     generateAllPossibleMoves(state) {
-        const moves = [];
-
-        // Tableau to foundation moves
-        for (let i = 0; i < state.tableau.length; i++) {
-            const pile = state.tableau[i];
-            if (pile.length > 0) {
-                const topCard = pile[pile.length - 1];
-                if (topCard.faceUp) {
-                    Object.keys(state.foundations).forEach(suit => {
-                        if (this.canPlaceOnFoundation(topCard, state.foundations[suit])) {
-                            moves.push({
-                                type: 'tableau_to_foundation',
-                                from: { source: 'tableau', index: i },
-                                to: { source: 'foundation', suit: suit },
-                                card: topCard,
-                                priority: 1000 + topCard.value
-                            });
-                        }
-                    });
-                }
-            }
-        }
-
-        // Waste to foundation moves
-        if (state.waste.length > 0) {
-            const topCard = state.waste[state.waste.length - 1];
-            Object.keys(state.foundations).forEach(suit => {
-                if (this.canPlaceOnFoundation(topCard, state.foundations[suit])) {
-                    moves.push({
-                        type: 'waste_to_foundation',
-                        from: { source: 'waste' },
-                        to: { source: 'foundation', suit: suit },
-                        card: topCard,
-                        priority: 900 + topCard.value
-                    });
-                }
-            });
-        }
+        return this.engine.generateMoves(state).map(move => ({
+            ...move,
+            priority: this.getMovePriority(move, state)
+        }));
+    }
 
-        // Tableau to tableau moves
-        for (let i = 0; i < state.tableau.length; i++) {
-            const fromPile = state.tableau[i];
-            if (fromPile.length > 0) {
-                const topCard = fromPile[fromPile.length - 1];
-                if (topCard.faceUp) {
-                    for (let j = 0; j < state.tableau.length; j++) {
-                        if (i !== j && this.canPlaceOnTableau(topCard, state.tableau[j])) {
-                            let priority = 200;
-                            // Bonus for revealing hidden cards
-                            if (fromPile.length > 1 && !fromPile[fromPile.length - 2].faceUp) {
-                                priority += 300;
-                            }
-                            // Bonus for kings to empty spaces
-                            if (topCard.value === 13 && state.tableau[j].length === 0) {
-                                priority += 200;
-                            }
-                            
-                            moves.push({
-                                type: 'tableau_to_tableau',
-                                from: { source: 'tableau', index: i },
-                                to: { source: 'tableau', index: j },
-                                card: topCard,
-                                priority: priority
-                            });
-                        }
+    getMovePriority(move, state) {
+        switch (move.type) {
+            case 'tableau_to_foundation':
+                return 1000 + move.card.value;
+            case 'waste_to_foundation':
+                return 900 + move.card.value;
+            case 'tableau_to_tableau':
+            case 'waste_to_tableau': {
+                let priority = 200;
+                // Bonus for revealing hidden cards
+                if (move.from.source === 'tableau') {
+                    const fromPile = state.tableau[move.from.index];
+                    const remaining = fromPile.length - move.count;
+                    if (remaining > 0 && !fromPile[remaining - 1].faceUp) {
+                        priority += 300;
                     }
                 }
+                // Bonus for kings to empty spaces
+                if (move.card.value === 13 && state.tableau[move.to.index].length === 0) {
+                    priority += 200;
+                }
+                return priority;
             }
+            case 'foundation_to_tableau':
+                return 5; // Only when nothing else helps
+            default:
+                return 10; // Stock draws
         }
-
-        // Stock draw move - avoid recursion by not calling analyzeStock here
-        if (state.stock.length > 0 || state.waste.length > 0) {
-            moves.push({
-                type: 'draw_stock',
-                from: { source: 'stock' },
-                to: { source: 'waste' },
-                priority: 10
-            });
-        }
-
-        return moves;
     }
 
     rankMovesByPriority(moves, state) {
         return moves.sort((a, b) => b.priority - a.priority);
     }
 
-    canPlaceOnFoundation(card, foundationPile) {
-        if (foundationPile.length === 0) {
-            return card.value === 1; // Ace
-        }
-        const topCard = foundationPile[foundationPile.length - 1];
-        return topCard.suit === card.suit && topCard.value === card.value - 1;
+    canPlaceOnFoundation(card, foundations) {
+        return this.engine.canPlaceOnFoundation(card, foundations);
     }
 
     canPlaceOnTableau(card, tableauPile) {
-        if (tableauPile.length === 0) {
-            return card.value === 13; // King
-        }
-        const topCard = tableauPile[tableauPile.length - 1];
-        if (!topCard.faceUp) return false;
-
-        const cardColor = (card.suit === '♠' || card.suit === '♣') ? 'black' : 'red';
-        const topColor = (topCard.suit === '♠' || topCard.suit === '♣') ? 'black' : 'red';
-
-        return cardColor !== topColor && card.value === topCard.value - 1;
+        return this.engine.canPlaceOnTableau(card, tableauPile);
     }
 
     applyMoveToState(state, move) {
-        const newState = this.cloneGameState(state);
-
-        try {
-            switch (move.type) {
-                case 'tableau_to_foundation':
-                    const tableauPile = newState.tableau[move.from.index];
-                    const card = tableauPile.pop();
-                    newState.foundations[move.to.suit].push(card);
-                    // Flip hidden card if revealed
-                    if (tableauPile.length > 0 && !tableauPile[tableauPile.length - 1].faceUp) {
-                        tableauPile[tableauPile.length - 1].faceUp = true;
-                    }
-                    break;
-
-                case 'waste_to_foundation':
-                    const wasteCard = newState.waste.pop();
-                    newState.foundations[move.to.suit].push(wasteCard);
-                    break;
-
-                case 'tableau_to_tableau':
-                    const fromPile = newState.tableau[move.from.index];
-                    const toPile = newState.tableau[move.to.index];
-                    const movingCard = fromPile.pop();
-                    toPile.push(movingCard);
-                    // Flip hidden card if revealed
-                    if (fromPile.length > 0 && !fromPile[fromPile.length - 1].faceUp) {
-                        fromPile[fromPile.length - 1].faceUp = true;
-                    }
-                    break;
-
-                case 'draw_stock':
-                    if (newState.stock.length > 0) {
-                        const drawCount = Math.min(newState.drawMode || 3, newState.stock.length);
-                        const drawnCards = newState.stock.splice(-drawCount);
-                        newState.waste.push(...drawnCards);
-                    } else if (newState.waste.length > 0) {
-                        newState.stock = newState.waste.reverse();
-                        newState.waste = [];
-                    }
-                    break;
-            }
-        } catch (error) {
-            console.error('Error applying move in worker:', error);
+        const newState = this.engine.applyMove(state, move);
+        if (!newState) {
+            console.error('Illegal move rejected in worker:', move);
             return state; // Return original state on error
         }
-
         return newState;
     }
 
     isGameWon(state) {
-        return Object.values(state.foundations).every(pile => pile.length === 13);
+        return this.engine.isGameWon(state);
     }
 
-    calculateWinProbability(state) {
-        let score = 0;
-        
-        // Foundation progress (most important)
-        const foundationCards = Object.values(state.foundations).reduce((sum, pile) => sum + pile.length, 0);
-        score += (foundationCards / 52) * 60;
-
-        // Hidden cards (less is better)
-        let hiddenCards = 0;
-        state.tableau.forEach(pile => {
-            pile.forEach(card => {
-                if (!card.faceUp) hiddenCards++;
-            });
-        });
-        score += (1 - hiddenCards / 28) * 25;
+    /**
+     * Share of greedy rollouts won (0-100). Each rollout plays a deal that
+     * re-draws the face-down cards (engine.visibleState / determinize), so the
+     * estimate never reads hidden cards; the page calibrates it against results.
+     */
+    calculateWinProbability(state, rollouts = 16, maxMoves = 300) {
+        const visible = this.engine.visibleState(state);
+        let wins = 0;
+
+        for (let i = 0; i < rollouts; i++) {
+            if (this.rollout(this.engine.determinize(visible, i + 1), maxMoves)) wins++;
+        }
+
+        return (wins / rollouts) * 100;
+    }
+
+    /**
+     * Play the highest-priority move that reaches a new position until the game
+     * is won or stuck; returns true on a win
+     */
+    rollout(state, maxMoves) {
+        const seen = new Set([this.engine.hashState(state)]);
+
+        for (let played = 0; played < maxMoves; played++) {
+            if (this.engine.isGameWon(state)) return true;
+
+            const moves = this.rankMovesByPriority(this.generateAllPossibleMoves(state), state);
+            let next = null;
+            for (const move of moves) {
+                const candidate = this.engine.applyMove(state, move);
+                const hash = candidate && this.engine.hashState(candidate);
+                if (candidate && !seen.has(hash)) {
+                    seen.add(hash);
+                    next = candidate;
+                    break;
+                }
+            }
 
-        // Empty tableau spaces
-        const emptySpaces = state.tableau.filter(pile => pile.length === 0).length;
-        score += (emptySpaces / 7) * 15;
+            if (!next) return false;
+            state = next;
+        }
 
-        return Math.min(100, Math.max(0, score));
+        return this.engine.isGameWon(state);
     }
 
     calculatePathConfidence(winningPath) {
@@ -870,29 +766,29 @@ class SolitaireAIWorker {
         };
     }
 
+    /**
+     * The cards the next stock clicks turn up, from the player's view of the
+     * stock (engine.visibleState): until the first recycle its order is
+     * unknown, so those draws are skipped rather than read from the real deal
+     */
     simulateStockDraws(state, maxDraws) {
-        const stockCopy = [...state.stock];
-        const wasteCopy = [...state.waste];
-        const drawMode = state.drawMode || 3;
+        const drawMove = { type: 'draw_stock', from: { source: 'stock' }, to: { source: 'waste' } };
         const upcomingCards = [];
-
-        for (let draw = 0; draw < maxDraws && (stockCopy.length > 0 || wasteCopy.length > 0); draw++) {
-            if (stockCopy.length === 0) {
-                // Reset stock from waste
-                stockCopy.push(...wasteCopy.reverse());
-                wasteCopy.length = 0;
-            }
-
-            const cardsDrawn = stockCopy.splice(-Math.min(drawMode, stockCopy.length));
-            if (cardsDrawn.length > 0) {
-                const topCard = cardsDrawn[cardsDrawn.length - 1];
-                upcomingCards.push({
-                    card: topCard,
-                    drawNumber: draw + 1,
-                    useful: this.isCardUsefulInPosition(topCard, state)
-                });
-                wasteCopy.push(...cardsDrawn);
-            }
+        let simulated = this.engine.visibleState(state);
+
+        // Each draw is one stock click, exactly as the live game plays it
+        for (let draw = 0; draw < maxDraws && this.engine.canDrawStock(simulated); draw++) {
+            const recycling = simulated.stock.length === 0;
+            simulated = this.engine.applyMove(simulated, drawMove);
+            if (recycling) continue;
+
+            const topCard = simulated.waste[simulated.waste.length - 1];
+            if (topCard.hidden) continue;
+            upcomingCards.push({
+                card: topCard,
+                drawNumber: draw + 1,
+                useful: this.isCardUsefulInPosition(topCard, state)
+            });
         }
 
         return upcomingCards;
@@ -900,10 +796,8 @@ class SolitaireAIWorker {
 
     isCardUsefulInPosition(card, state) {
         // Check if can go to foundation
-        for (const [suit, foundationPile] of Object.entries(state.foundations)) {
-            if (this.canPlaceOnFoundation(card, foundationPile)) {
-                return true;
-            }
+        if (this.canPlaceOnFoundation(card, state.foundations)) {
+            return true;
         }
 
         // Check if can go to tableau
@@ -1038,60 +932,20 @@ class SolitaireAIWorker {
                 return `Move ${move.card.value}${move.card.suit} from waste to foundation`;
             case 'tableau_to_tableau':
                 return `Move ${move.card.value}${move.card.suit} to tableau`;
+            case 'waste_to_tableau':
+                return `Move ${move.card.value}${move.card.suit} from waste to tableau`;
+            case 'foundation_to_tableau':
+                return `Take ${move.card.value}${move.card.suit} back from foundation to tableau`;
             case 'draw_stock':
-                return 'Draw from stock pile';
+                return move.recycle ? 'Recycle waste into stock' : 'Draw from stock pile';
             default:
                 return 'Unknown move';
         }
     }
 
-    // Count tableau moves without calling generateAllPossibleMoves (avoids recursion)
+    // Count card moves without calling generateAllPossibleMoves (avoids priority scoring)
     countTableauMoves(state) {
-        let count = 0;
-
-        // Check tableau to foundation moves
-        for (let i = 0; i < state.tableau.length; i++) {
-            const pile = state.tableau[i];
-            if (pile.length > 0) {
-                const topCard = pile[pile.length - 1];
-                if (topCard.faceUp) {
-                    // Check if can go to any foundation
-                    for (const [suit, foundationPile] of Object.entries(state.foundations)) {
-                        if (this.canPlaceOnFoundation(topCard, foundationPile)) {
-                            count++;
-                        }
-                    }
-                    
-                    // Check if can go to any tableau pile
-                    for (let j = 0; j < state.tableau.length; j++) {
-                        if (i !== j && this.canPlaceOnTableau(topCard, state.tableau[j])) {
-                            count++;
-                        }
-                    }
-                }
-            }
-        }
-
-        // Check waste to foundation and tableau moves
-        if (state.waste.length > 0) {
-            const topCard = state.waste[state.waste.length - 1];
-            
-            // Check foundation moves
-            for (const [suit, foundationPile] of Object.entries(state.foundations)) {
-                if (this.canPlaceOnFoundation(topCard, foundationPile)) {
-                    count++;
-                }
-            }
-            
-            // Check tableau moves
-            for (let i = 0; i < state.tableau.length; i++) {
-                if (this.canPlaceOnTableau(topCard, state.tableau[i])) {
-                    count++;
-                }
-            }
-        }
-
-        return count;
+        return this.engine.generateMoves(state).filter(move => move.type !== 'draw_stock').length;
     }
 
     getPerformanceReport() {
@@ -1138,11 +992,13 @@ const aiWorker = new SolitaireAIWorker();
 aiWorker.startTime = Date.now(); // Track startup time
 
 self.onmessage = async function(event) {
-    const { type, data, requestId } = event.data;
+    const { type, data, requestId, rules } = event.data;
     
     try {
         let result;
         
+        if (rules) aiWorker.setRules(rules);
+        
         switch (type) {
             case 'test':
                 result = { message: 'Worker is responsive', timestamp: Date.now() };
@@ -0,0 +1,822 @@
+/**
+ * Klondike Rules Engine
+ * Single source of truth for move legality, move generation, move application,
+ * win detection and state hashing. Loaded by the page (script tag), by both
+ * workers (importScripts) and by the OpenAI agent, so a hint, a solver line and
+ * a human move are always judged by the same rules.
+ *
+ * State shape: { tableau: [[card]x7], foundations: { suit: [card] }, stock: [card],
+ *                waste: [card], drawMode, recycles (times the waste went back to the stock) }
+ * Rules:       { drawMode: 1 | 3, maxPasses: null (unlimited) | number of trips through the stock,
+ *                thoughtful: every card's place is known to the player (same moves, open information),
+ *                anyCardToEmpty: any card (not just a king) may start an empty column,
+ *                foundationToTableau: foundation top cards may come back down to the tableau,
+ *                partialSequences: a run may be split, otherwise only whole runs move }
+ * Card shape:  { id, suit, rank, value (1-13), faceUp }, or { hidden: true, faceUp: false }
+ *              for a card the player can't see (see visibleState / determinize)
+ *
+ * Move shape:  { type, from: { source, index?, suit? }, to: { source, index?, suit? }, card, count }
+ *   tableau_to_foundation, waste_to_foundation, waste_to_tableau,
+ *   tableau_to_tableau (count = cards moved), foundation_to_tableau,
+ *   draw_stock (draws drawMode cards, or recycles the waste when the stock is empty)
+ * Undo:        moveDelta records a move so undoMove can take it back (redo is applyMove)
+ * Notation:    formatMove / parseMove ("S", "W>3", "5>F", "2>6x3", "Fh>4"), and
+ *              exportGame / importGame for whole games
+ */
+
+class KlondikeEngine {
+    constructor(rules = {}) {
+        this.rules = {
+            drawMode: 3,
+            maxPasses: null,
+            thoughtful: false,
+            anyCardToEmpty: false,
+            foundationToTableau: true,
+            partialSequences: true,
+            ...rules
+        };
+
+        this.SUITS = ['♠', '♥', '♦', '♣'];
+        this.RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+        this.RED_SUITS = new Set(['♥', '♦']);
+        this.SUIT_LETTERS = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+    }
+
+    /**
+     * Number of cards turned per stock click for this state
+     */
+    getDrawMode(state) {
+        return (state && state.drawMode) || this.rules.drawMode;
+    }
+
+    /**
+     * Trips through the stock still allowed after the current one (Infinity when unlimited)
+     */
+    getPassesRemaining(state) {
+        if (!this.rules.maxPasses) return Infinity;
+        return Math.max(0, this.rules.maxPasses - 1 - (state.recycles || 0));
+    }
+
+    /**
+     * The optional tableau rules of a rules object, with defaults filled in
+     */
+    getTableauRules(rules = this.rules) {
+        return {
+            anyCardToEmpty: !!rules.anyCardToEmpty,
+            foundationToTableau: rules.foundationToTableau !== false,
+            partialSequences: rules.partialSequences !== false
+        };
+    }
+
+    /**
+     * Short name of the tableau rules that differ from the defaults, '' when none do:
+     * "any-empty", "no-returns", "whole-runs", joined with '+'
+     */
+    formatTableauRules(rules = this.rules) {
+        const { anyCardToEmpty, foundationToTableau, partialSequences } = this.getTableauRules(rules);
+        return [
+            anyCardToEmpty && 'any-empty',
+            !foundationToTableau && 'no-returns',
+            !partialSequences && 'whole-runs'
+        ].filter(Boolean).join('+');
+    }
+
+    parseTableauRules(text) {
+        const names = String(text || '').split('+');
+        return {
+            anyCardToEmpty: names.includes('any-empty'),
+            foundationToTableau: !names.includes('no-returns'),
+            partialSequences: !names.includes('whole-runs')
+        };
+    }
+
+    isRed(card) {
+        return this.RED_SUITS.has(card.suit);
+    }
+
+    /**
+     * Check if card can be placed on its suit's foundation
+     */
+    canPlaceOnFoundation(card, foundations) {
+        if (!card || !foundations) return false;
+
+        const pile = foundations[card.suit];
+        if (!pile) return false;
+
+        if (pile.length === 0) {
+            return card.value === 1; // Ace
+        }
+
+        const topCard = pile[pile.length - 1];
+        return card.value === topCard.value + 1;
+    }
+
+    /**
+     * Check if card can be placed on tableau pile (kings only on empty columns
+     * unless rules.anyCardToEmpty)
+     */
+    canPlaceOnTableau(card, pile) {
+        if (!card || !pile) return false;
+
+        if (pile.length === 0) {
+            return this.rules.anyCardToEmpty || card.value === 13;
+        }
+
+        const topCard = pile[pile.length - 1];
+        if (!topCard || !topCard.faceUp) return false;
+
+        return this.isRed(card) !== this.isRed(topCard) && card.value === topCard.value - 1;
+    }
+
+    /**
+     * Check that cards form a descending, alternating-color run
+     */
+    isValidSequence(cards) {
+        for (let i = 1; i < cards.length; i++) {
+            const prevCard = cards[i - 1];
+            const currCard = cards[i];
+
+            if (!currCard.faceUp ||
+                prevCard.value !== currCard.value + 1 ||
+                this.isRed(prevCard) === this.isRed(currCard)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Index of the deepest card that can be picked up together with everything above it
+     */
+    getMovableRunStart(pile) {
+        if (pile.length === 0 || !pile[pile.length - 1].faceUp) return pile.length;
+
+        let start = pile.length - 1;
+        while (start > 0 && pile[start - 1].faceUp &&
+               this.isValidSequence([pile[start - 1], pile[start]])) {
+            start--;
+        }
+        return start;
+    }
+
+    /**
+     * Check if the cards from index to the top of the pile can be picked up as one
+     * group (a run from its start only, unless rules.partialSequences)
+     */
+    canPickUpRun(pile, index) {
+        const runStart = this.getMovableRunStart(pile);
+        if (index < runStart || index >= pile.length) return false;
+        return this.rules.partialSequences || index === runStart;
+    }
+
+    /**
+     * Generate all legal moves from current state
+     */
+    generateMoves(state) {
+        const moves = [];
+        const { tableau, foundations, waste } = state;
+
+        // Tableau to foundation moves
+        for (let i = 0; i < tableau.length; i++) {
+            const pile = tableau[i];
+            if (pile.length === 0) continue;
+
+            const topCard = pile[pile.length - 1];
+            if (topCard.faceUp && this.canPlaceOnFoundation(topCard, foundations)) {
+                moves.push({
+                    type: 'tableau_to_foundation',
+                    from: { source: 'tableau', index: i },
+                    to: { source: 'foundation', suit: topCard.suit },
+                    card: topCard,
+                    count: 1
+                });
+            }
+        }
+
+        // Waste to foundation / tableau moves
+        if (waste.length > 0) {
+            const wasteCard = waste[waste.length - 1];
+
+            if (this.canPlaceOnFoundation(wasteCard, foundations)) {
+                moves.push({
+                    type: 'waste_to_foundation',
+                    from: { source: 'waste' },
+                    to: { source: 'foundation', suit: wasteCard.suit },
+                    card: wasteCard,
+                    count: 1
+                });
+            }
+
+            for (let j = 0; j < tableau.length; j++) {
+                if (this.canPlaceOnTableau(wasteCard, tableau[j])) {
+                    moves.push({
+                        type: 'waste_to_tableau',
+                        from: { source: 'waste' },
+                        to: { source: 'tableau', index: j },
+                        card: wasteCard,
+                        count: 1
+                    });
+                }
+            }
+        }
+
+        // Tableau to tableau moves (every movable run length)
+        for (let i = 0; i < tableau.length; i++) {
+            const fromPile = tableau[i];
+            const runStart = this.getMovableRunStart(fromPile);
+
+            for (let cardIndex = runStart; cardIndex < fromPile.length; cardIndex++) {
+                if (!this.canPickUpRun(fromPile, cardIndex)) continue;
+                const card = fromPile[cardIndex];
+
+                for (let j = 0; j < tableau.length; j++) {
+                    if (i === j) continue;
+
+                    // Moving a whole pile into another empty column changes nothing
+                    if (cardIndex === 0 && tableau[j].length === 0) continue;
+
+                    if (this.canPlaceOnTableau(card, tableau[j])) {
+                        moves.push({
+                            type: 'tableau_to_tableau',
+                            from: { source: 'tableau', index: i },
+                            to: { source: 'tableau', index: j },
+                            card: card,
+                            count: fromPile.length - cardIndex
+                        });
+                    }
+                }
+            }
+        }
+
+        // Foundation to tableau moves
+        if (this.rules.foundationToTableau) {
+            for (const suit of this.SUITS) {
+                const pile = foundations[suit];
+                if (!pile || pile.length === 0) continue;
+
+                const card = pile[pile.length - 1];
+                for (let j = 0; j < tableau.length; j++) {
+                    if (this.canPlaceOnTableau(card, tableau[j])) {
+                        moves.push({
+                            type: 'foundation_to_tableau',
+                            from: { source: 'foundation', suit },
+                            to: { source: 'tableau', index: j },
+                            card: card,
+                            count: 1
+                        });
+                    }
+                }
+            }
+        }
+
+        // Stock draw (or waste recycle when the stock is empty)
+        if (this.canDrawStock(state)) {
+            moves.push({
+                type: 'draw_stock',
+                from: { source: 'stock' },
+                to: { source: 'waste' },
+                count: Math.min(this.getDrawMode(state), state.stock.length),
+                recycle: state.stock.length === 0
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Check if clicking the stock does anything
+     */
+    canDrawStock(state) {
+        if (state.stock.length > 0) return true;
+        return state.waste.length > 0 && this.getPassesRemaining(state) > 0;
+    }
+
+    /**
+     * Validate a move against the current state
+     */
+    isLegalMove(state, move) {
+        if (!move || !move.type) return false;
+
+        const { tableau, foundations, waste } = state;
+        const fromIndex = move.from && move.from.index;
+        const toIndex = move.to && move.to.index;
+
+        switch (move.type) {
+            case 'draw_stock':
+                return this.canDrawStock(state);
+
+            case 'waste_to_foundation':
+                return waste.length > 0 &&
+                       this.canPlaceOnFoundation(waste[waste.length - 1], foundations);
+
+            case 'waste_to_tableau':
+                return waste.length > 0 && !!tableau[toIndex] &&
+                       this.canPlaceOnTableau(waste[waste.length - 1], tableau[toIndex]);
+
+            case 'tableau_to_foundation': {
+                const pile = tableau[fromIndex];
+                if (!pile || pile.length === 0) return false;
+                const topCard = pile[pile.length - 1];
+                return topCard.faceUp && this.canPlaceOnFoundation(topCard, foundations);
+            }
+
+            case 'tableau_to_tableau': {
+                const fromPile = tableau[fromIndex];
+                const toPile = tableau[toIndex];
+                const count = move.count || 1;
+                if (!fromPile || !toPile || fromIndex === toIndex || count > fromPile.length) return false;
+
+                const cards = fromPile.slice(fromPile.length - count);
+                return this.canPickUpRun(fromPile, fromPile.length - count) &&
+                       this.canPlaceOnTableau(cards[0], toPile);
+            }
+
+            case 'foundation_to_tableau': {
+                const pile = foundations[move.from && move.from.suit];
+                if (!this.rules.foundationToTableau) return false;
+                if (!pile || pile.length === 0 || !tableau[toIndex]) return false;
+                return this.canPlaceOnTableau(pile[pile.length - 1], tableau[toIndex]);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Apply move to a copy of state (returns new state or null if illegal).
+     * Piles are copied, but cards the move does not flip are shared with the
+     * input state, so treat both states as read-only (use cloneState to edit).
+     */
+    applyMove(state, move) {
+        if (!this.isLegalMove(state, move)) return null;
+
+        const newState = this.copyPiles(state);
+        const { tableau, foundations } = newState;
+
+        switch (move.type) {
+            case 'draw_stock':
+                if (newState.stock.length > 0) {
+                    const drawCount = Math.min(this.getDrawMode(newState), newState.stock.length);
+                    const drawnCards = newState.stock.splice(-drawCount);
+                    newState.waste.push(...drawnCards.map(card => ({ ...card, faceUp: true })));
+                } else {
+                    newState.stock = newState.waste.reverse().map(card => ({ ...card, faceUp: false }));
+                    newState.waste = [];
+                    newState.recycles++;
+                }
+                break;
+
+            case 'waste_to_foundation': {
+                const card = newState.waste.pop();
+                foundations[card.suit].push(card);
+                break;
+            }
+
+            case 'waste_to_tableau':
+                tableau[move.to.index].push(newState.waste.pop());
+                break;
+
+            case 'tableau_to_foundation': {
+                const card = tableau[move.from.index].pop();
+                foundations[card.suit].push(card);
+                this.revealTop(tableau[move.from.index]);
+                break;
+            }
+
+            case 'tableau_to_tableau': {
+                const sourcePile = tableau[move.from.index];
+                const cards = sourcePile.splice(sourcePile.length - (move.count || 1));
+                tableau[move.to.index].push(...cards);
+                this.revealTop(sourcePile);
+                break;
+            }
+
+            case 'foundation_to_tableau':
+                tableau[move.to.index].push(foundations[move.from.suit].pop());
+                break;
+        }
+
+        return newState;
+    }
+
+    /**
+     * Compact, reversible form of a legal move in this state: the move without its
+     * card object, with the number of cards it moves and whether it turns a
+     * tableau card face up, which is all undoMove needs to take it back
+     */
+    moveDelta(state, move) {
+        let count = move.count || 1;
+        let revealed = false;
+
+        if (move.type === 'draw_stock') {
+            count = state.stock.length > 0 ? Math.min(this.getDrawMode(state), state.stock.length) : state.waste.length;
+        } else if (move.from && move.from.source === 'tableau') {
+            const pile = state.tableau[move.from.index];
+            const below = pile[pile.length - count - 1];
+            revealed = !!below && !below.faceUp;
+        }
+
+        return {
+            type: move.type,
+            from: move.from,
+            to: move.to,
+            count,
+            cardId: move.card ? move.card.id : (move.cardId || null),
+            revealed
+        };
+    }
+
+    /**
+     * Take back a move recorded with moveDelta (returns new state, or null if the
+     * delta doesn't fit the state). Redo is applyMove with the same delta.
+     */
+    undoMove(state, delta) {
+        const newState = this.copyPiles(state);
+        const { tableau, foundations } = newState;
+        const count = delta.count || 1;
+        const hideTop = pile => {
+            if (pile.length > 0) pile[pile.length - 1] = { ...pile[pile.length - 1], faceUp: false };
+        };
+
+        switch (delta.type) {
+            case 'draw_stock':
+                // A draw always leaves cards on the waste, a recycle never does
+                if (newState.waste.length === 0) {
+                    if (newState.stock.length === 0) return null;
+                    newState.waste = newState.stock.reverse().map(card => ({ ...card, faceUp: true }));
+                    newState.stock = [];
+                    newState.recycles = Math.max(0, newState.recycles - 1);
+                } else {
+                    if (newState.waste.length < count) return null;
+                    newState.stock.push(...newState.waste.splice(-count).map(card => ({ ...card, faceUp: false })));
+                }
+                break;
+
+            case 'waste_to_foundation': {
+                const pile = foundations[delta.to.suit];
+                if (!pile || pile.length === 0) return null;
+                newState.waste.push(pile.pop());
+                break;
+            }
+
+            case 'waste_to_tableau': {
+                const pile = tableau[delta.to.index];
+                if (!pile || pile.length === 0) return null;
+                newState.waste.push(pile.pop());
+                break;
+            }
+
+            case 'tableau_to_foundation': {
+                const pile = foundations[delta.to.suit];
+                const sourcePile = tableau[delta.from.index];
+                if (!pile || pile.length === 0 || !sourcePile) return null;
+                if (delta.revealed) hideTop(sourcePile);
+                sourcePile.push(pile.pop());
+                break;
+            }
+
+            case 'tableau_to_tableau': {
+                const sourcePile = tableau[delta.from.index];
+                const targetPile = tableau[delta.to.index];
+                if (!sourcePile || !targetPile || targetPile.length < count) return null;
+                if (delta.revealed) hideTop(sourcePile);
+                sourcePile.push(...targetPile.splice(targetPile.length - count));
+                break;
+            }
+
+            case 'foundation_to_tableau': {
+                const pile = tableau[delta.to.index];
+                if (!pile || pile.length === 0 || !foundations[delta.from.suit]) return null;
+                foundations[delta.from.suit].push(pile.pop());
+                break;
+            }
+
+            default:
+                return null;
+        }
+
+        return newState;
+    }
+
+    /**
+     * Short text for a move. Columns are 1-7, W is the waste, F a foundation and
+     * S a stock click (draw or recycle): "S", "W>3", "W>F", "5>F", "2>6", "2>6x3"
+     * (three cards), "Fh>4" (foundation to tableau names the suit: s, h, d, c).
+     */
+    formatMove(move) {
+        const place = end => {
+            if (end.source === 'tableau') return String(end.index + 1);
+            if (end.source === 'waste') return 'W';
+            if (end.source === 'foundation') return 'F';
+            return 'S';
+        };
+
+        switch (move.type) {
+            case 'draw_stock':
+                return 'S';
+            case 'foundation_to_tableau':
+                return `F${this.SUIT_LETTERS[move.from.suit]}>${move.to.index + 1}`;
+            default: {
+                const count = move.count > 1 ? `x${move.count}` : '';
+                return `${place(move.from)}>${place(move.to)}${count}`;
+            }
+        }
+    }
+
+    /**
+     * Read formatMove() text back into a move for this state, with its card
+     * attached; returns null for text that isn't a legal move here
+     */
+    parseMove(text, state) {
+        const token = String(text).trim();
+        if (token === 'S') {
+            const move = {
+                type: 'draw_stock',
+                from: { source: 'stock' },
+                to: { source: 'waste' },
+                count: Math.min(this.getDrawMode(state), state.stock.length),
+                recycle: state.stock.length === 0
+            };
+            return this.isLegalMove(state, move) ? move : null;
+        }
+
+        const match = /^(W|F[shdc]|[1-7])>(F|[1-7])(?:x(\d+))?$/.exec(token);
+        if (!match) return null;
+
+        const [, from, to, countText] = match;
+        const count = countText ? Number(countText) : 1;
+        const column = text => ({ source: 'tableau', index: Number(text) - 1 });
+        let move;
+
+        if (from === 'W') {
+            const card = state.waste[state.waste.length - 1];
+            move = to === 'F' ?
+                { type: 'waste_to_foundation', from: { source: 'waste' }, to: { source: 'foundation', suit: card && card.suit }, card, count: 1 } :
+                { type: 'waste_to_tableau', from: { source: 'waste' }, to: column(to), card, count: 1 };
+        } else if (from.startsWith('F')) {
+            const suit = Object.keys(this.SUIT_LETTERS).find(key => this.SUIT_LETTERS[key] === from[1]);
+            const pile = state.foundations[suit] || [];
+            if (to === 'F') return null;
+            move = { type: 'foundation_to_tableau', from: { source: 'foundation', suit }, to: column(to), card: pile[pile.length - 1], count: 1 };
+        } else {
+            const pile = state.tableau[Number(from) - 1];
+            const card = to === 'F' ? pile[pile.length - 1] : pile[pile.length - count];
+            move = to === 'F' ?
+                { type: 'tableau_to_foundation', from: column(from), to: { source: 'foundation', suit: card && card.suit }, card, count: 1 } :
+                { type: 'tableau_to_tableau', from: column(from), to: column(to), card, count };
+        }
+
+        return move.card && this.isLegalMove(state, move) ? move : null;
+    }
+
+    /**
+     * Portable game record: tag lines, a blank line, then the numbered moves.
+     *   [Seed "12345"] [DrawMode "3"] [MaxPasses "-"] [Tableau "standard"] [Result "won"] ...
+     *   1. S 2. W>3 3. 5>F
+     * game: { seed, drawMode, maxPasses, thoughtful, tableauRules, moves: [move or notation], tags: { name: value } }
+     */
+    exportGame(game) {
+        const tags = {
+            Game: 'Klondike',
+            Variant: game.thoughtful ? 'thoughtful' : 'standard',
+            Seed: String(game.seed),
+            DrawMode: String(game.drawMode),
+            MaxPasses: game.maxPasses ? String(game.maxPasses) : '-',
+            Tableau: this.formatTableauRules(game.tableauRules || {}) || 'standard',
+            ...(game.tags || {})
+        };
+        const header = Object.entries(tags)
+            .map(([name, value]) => `[${name} "${String(value).replace(/"/g, "'")}"]`)
+            .join('\n');
+        const moves = game.moves
+            .map((move, i) => `${i + 1}. ${typeof move === 'string' ? move : this.formatMove(move)}`)
+            .join(' ');
+
+        return `${header}\n\n${moves}\n`;
+    }
+
+    /**
+     * Parse exportGame() text into { seed, drawMode, maxPasses, thoughtful, tableauRules, moves: [notation], tags };
+     * throws on a record without a seed
+     */
+    importGame(text) {
+        const tags = {};
+        const tagPattern = /^\[(\w+)\s+"([^"]*)"\]\s*$/;
+        const lines = String(text).split(/\r?\n/);
+        const body = [];
+
+        for (const line of lines) {
+            const tag = tagPattern.exec(line.trim());
+            if (tag) {
+                tags[tag[1]] = tag[2];
+            } else {
+                body.push(line);
+            }
+        }
+
+        const seed = Number(tags.Seed);
+        if (!Number.isInteger(seed) || seed <= 0) {
+            throw new Error('Game record has no valid [Seed] tag');
+        }
+
+        const moves = body.join(' ')
+            .split(/\s+/)
+            .filter(token => token && !/^\d+\.$/.test(token));
+
+        return {
+            seed,
+            drawMode: Number(tags.DrawMode) === 1 ? 1 : 3,
+            maxPasses: tags.MaxPasses && tags.MaxPasses !== '-' ? Number(tags.MaxPasses) : null,
+            thoughtful: tags.Variant === 'thoughtful',
+            tableauRules: this.parseTableauRules(tags.Tableau),
+            moves,
+            tags
+        };
+    }
+
+    /**
+     * Flip the top card of a pile face up (as a new card object, since applyMove
+     * shares cards between states); returns true if a card was revealed
+     */
+    revealTop(pile) {
+        if (pile.length > 0 && !pile[pile.length - 1].faceUp) {
+            pile[pile.length - 1] = { ...pile[pile.length - 1], faceUp: true };
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Create an ordered 52-card deck
+     */
+    createDeck() {
+        return this.SUITS.flatMap(suit =>
+            this.RANKS.map((rank, index) => ({
+                id: `${rank}${suit}`,
+                suit,
+                rank,
+                value: index + 1,
+                faceUp: false
+            }))
+        );
+    }
+
+    /**
+     * Deterministic (Park-Miller) shuffle, so a seed reproduces the same deal on any thread
+     */
+    seededShuffle(deck, seed) {
+        const m = 2147483647;
+        let s = seed % m;
+        const random = () => {
+            s = (16807 * s) % m;
+            return (s - 1) / (m - 1);
+        };
+
+        const shuffled = [...deck];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Deal a shuffled deck into a fresh game state (cards are taken from the end of the deck)
+     */
+    dealGame(deck, drawMode) {
+        const stock = deck.map(card => ({ ...card, faceUp: false }));
+        const tableau = Array.from({ length: 7 }, () => []);
+
+        for (let col = 0; col < 7; col++) {
+            for (let row = 0; row <= col; row++) {
+                const card = stock.pop();
+                card.faceUp = row === col;
+                tableau[col].push(card);
+            }
+        }
+
+        return {
+            tableau,
+            foundations: { '♠': [], '♥': [], '♦': [], '♣': [] },
+            stock,
+            waste: [],
+            drawMode: drawMode || this.rules.drawMode,
+            recycles: 0
+        };
+    }
+
+    /**
+     * Copy of the state holding only what the player can see: face-down tableau
+     * cards become { hidden: true } placeholders, and so does the stock until the
+     * first recycle (after that every stock card has been seen in the waste).
+     * In the thoughtful variant nothing is hidden.
+     */
+    visibleState(state) {
+        const hide = () => ({ hidden: true, faceUp: false });
+        const copy = this.copyPiles(state);
+        if (this.rules.thoughtful) return copy;
+
+        copy.tableau = copy.tableau.map(pile => pile.map(card => card.faceUp ? card : hide()));
+        if (!copy.recycles) {
+            copy.stock = copy.stock.map(hide);
+        }
+        return copy;
+    }
+
+    /**
+     * Fill the placeholders of a visibleState() with a seeded shuffle of the
+     * cards that are not visible anywhere - one deal consistent with what the
+     * player knows
+     */
+    determinize(state, seed) {
+        const seen = new Set();
+        const piles = [...state.tableau, ...Object.values(state.foundations), state.stock, state.waste];
+        piles.forEach(pile => pile.forEach(card => {
+            if (!card.hidden) seen.add(card.id);
+        }));
+
+        const unseen = this.seededShuffle(this.createDeck().filter(card => !seen.has(card.id)), seed);
+        const fill = card => card.hidden ? { ...unseen.pop(), faceUp: false } : card;
+
+        const copy = this.copyPiles(state);
+        copy.tableau = copy.tableau.map(pile => pile.map(fill));
+        copy.stock = copy.stock.map(fill);
+        return copy;
+    }
+
+    /**
+     * Check if game is won (all cards in foundations)
+     */
+    isGameWon(state) {
+        return Object.values(state.foundations)
+            .reduce((sum, pile) => sum + pile.length, 0) === 52;
+    }
+
+    /**
+     * Create hash for game state. Encodes every pile in order, including the
+     * full stock and waste sequences, so different stock orders never collide.
+     * ignoreColumnOrder sorts the tableau piles, for searches that treat
+     * column permutations as the same position.
+     */
+    hashState(state, { ignoreColumnOrder = false } = {}) {
+        const cardKey = card => `${card.value}${card.suit}${card.faceUp ? 'U' : 'D'}`;
+
+        const piles = state.tableau.map(pile => pile.map(cardKey).join(','));
+        if (ignoreColumnOrder) piles.sort();
+        const tableau = piles.join('|');
+        const foundations = this.SUITS
+            .map(suit => `${suit}${(state.foundations[suit] || []).length}`)
+            .join(',');
+        const stock = state.stock.map(card => `${card.value}${card.suit}`).join(',');
+        const waste = state.waste.map(card => `${card.value}${card.suit}`).join(',');
+
+        // With a pass limit the same layout on a later pass has fewer options left
+        const passes = this.rules.maxPasses ? `|R:${state.recycles || 0}` : '';
+
+        return `T:${tableau}|F:${foundations}|S:${stock}|W:${waste}${passes}`;
+    }
+
+    /**
+     * Shallow copy: new pile arrays holding the same card objects
+     */
+    copyPiles(state) {
+        return {
+            tableau: state.tableau.map(pile => pile.slice()),
+            foundations: Object.fromEntries(
+                Object.entries(state.foundations).map(([suit, pile]) => [suit, pile.slice()])
+            ),
+            stock: state.stock.slice(),
+            waste: state.waste.slice(),
+            drawMode: this.getDrawMode(state),
+            recycles: state.recycles || 0
+        };
+    }
+
+    /**
+     * Deep clone game state
+     */
+    cloneState(state) {
+        const cloneCard = card => ({ ...card });
+
+        return {
+            tableau: state.tableau.map(pile => pile.map(cloneCard)),
+            foundations: Object.fromEntries(
+                Object.entries(state.foundations).map(([suit, pile]) => [suit, pile.map(cloneCard)])
+            ),
+            stock: state.stock.map(cloneCard),
+            waste: state.waste.map(cloneCard),
+            drawMode: this.getDrawMode(state),
+            recycles: state.recycles || 0
+        };
+    }
+}
+
+// Browser / Worker / Node export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KlondikeEngine;
+} else if (typeof window !== 'undefined') {
+    window.KlondikeEngine = KlondikeEngine;
+} else if (typeof self !== 'undefined') {
+    self.KlondikeEngine = KlondikeEngine;
+}
@@ -1,16 +1,183 @@
 /**
  * OpenAI-Powered Solitaire AI Agent
  * Provides intelligent game analysis and hints using GPT-4o-mini
+ *
+ * Requests go to any OpenAI-compatible chat completions endpoint: the hosted
+ * APIs below, or a self-hosted llama.cpp, Ollama or vLLM server on localhost.
  */
 
+/**
+ * Provider presets. tokenParam is the request field carrying the reply limit;
+ * local servers need no key, and a blank model lets the server use its own.
+ * keysURL is where a hosted provider hands out API keys. pricing is US$ per
+ * million prompt (input) and completion (output) tokens, for cost budgets.
+ */
+const LLM_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'o4-mini',
+        tokenParam: 'max_completion_tokens',
+        requiresKey: true,
+        keysURL: 'https://platform.openai.com/api-keys',
+        pricing: { input: 1.10, output: 4.40 }
+    },
+    openrouter: {
+        label: 'OpenRouter',
+        endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+        model: 'openai/o4-mini',
+        tokenParam: 'max_tokens',
+        requiresKey: true,
+        keysURL: 'https://openrouter.ai/keys',
+        pricing: { input: 1.10, output: 4.40 }
+    },
+    ollama: {
+        label: 'Ollama',
+        endpoint: 'http://localhost:11434/v1/chat/completions',
+        model: 'llama3.1',
+        tokenParam: 'max_tokens',
+        requiresKey: false,
+        pricing: { input: 0, output: 0 }
+    },
+    llamacpp: {
+        label: 'llama.cpp',
+        endpoint: 'http://localhost:8080/v1/chat/completions',
+        model: '',
+        tokenParam: 'max_tokens',
+        requiresKey: false,
+        pricing: { input: 0, output: 0 }
+    },
+    vllm: {
+        label: 'vLLM',
+        endpoint: 'http://localhost:8000/v1/chat/completions',
+        model: '',
+        tokenParam: 'max_tokens',
+        requiresKey: false,
+        pricing: { input: 0, output: 0 }
+    },
+    custom: {
+        label: 'Custom server',
+        endpoint: '',
+        model: '',
+        tokenParam: 'max_tokens',
+        requiresKey: false,
+        pricing: { input: 0, output: 0 }
+    }
+};
+
+/**
+ * IndexedDB cache of coaching replies, keyed by prompt type, provider, model and
+ * position, so asking again about a position (after undo/redo, say) costs no
+ * request. Entries expire after ttl; past maxEntries the oldest are dropped.
+ */
+class LLMResponseCache {
+    constructor({ ttl = 7 * 24 * 60 * 60 * 1000, maxEntries = 300 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.dbPromise = null;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+                const req = indexedDB.open('KlondikeCoachCache', 1);
+                req.onupgradeneeded = (event) => {
+                    const store = event.target.result.createObjectStore('responses', { keyPath: 'key' });
+                    store.createIndex('created', 'created');
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run requests against the store in one transaction; resolves with the
+     * value passed to done() once the transaction completes
+     */
+    async transact(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('responses', mode);
+            let result;
+            run(tx.objectStore('responses'), value => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+    
+    /**
+     * Live entry { key, response, created } or null
+     */
+    async get(key) {
+        const entry = await this.transact('readonly', (store, done) => {
+            const req = store.get(key);
+            req.onsuccess = () => done(req.result);
+        });
+        if (!entry) return null;
+        
+        if (Date.now() - entry.created > this.ttl) {
+            await this.transact('readwrite', store => store.delete(key));
+            return null;
+        }
+        return entry;
+    }
+    
+    async set(key, response) {
+        await this.transact('readwrite', store => store.put({ key, response, created: Date.now() }));
+        await this.prune();
+    }
+    
+    /**
+     * Drop expired entries, then the oldest until maxEntries remain
+     */
+    prune() {
+        const cutoff = Date.now() - this.ttl;
+        return this.transact('readwrite', store => {
+            const countReq = store.count();
+            countReq.onsuccess = () => {
+                let excess = countReq.result - this.maxEntries;
+                const cursorReq = store.index('created').openCursor();
+                cursorReq.onsuccess = () => {
+                    const cursor = cursorReq.result;
+                    // Oldest first, so stop at the first entry worth keeping
+                    if (cursor && (excess > 0 || cursor.value.created < cutoff)) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+        });
+    }
+    
+    /**
+     * Empty the cache; resolves to the number of entries removed
+     */
+    clear() {
+        return this.transact('readwrite', (store, done) => {
+            const countReq = store.count();
+            countReq.onsuccess = () => {
+                done(countReq.result);
+                store.clear();
+            };
+        });
+    }
+}
+
 class OpenAIAgent {
     constructor(gameInstance) {
         this.game = gameInstance;
         this.apiKey = null;
-        this.baseURL = 'https://api.openai.com/v1/chat/completions';
-        this.model = 'o4-mini';
         this.max_completion_tokens = 1000;
-        this.isInitialized = false;
+        this.maxRecommendationAttempts = 3; // first ask plus re-prompts after an illegal or unreadable move
+        this.cache = new LLMResponseCache();
+        this.configure();
         this.requestQueue = [];
         this.isProcessing = false;
         this.rateLimitDelay = 1000; // 1 second between requests to respect rate limits
@@ -20,16 +187,53 @@ class OpenAIAgent {
     }
     
     /**
-     * Initialize the OpenAI agent with API key
+     * Select the provider: a preset id plus optional endpoint, model, tokenParam,
+     * extra headers, pricing and key. Returns whether requests can be made.
+     * Hosted providers (the ones that need a key) keep their preset endpoint, so
+     * their key can't be sent anywhere else.
+     */
+    configure(config = {}) {
+        const id = LLM_PROVIDERS[config.provider] ? config.provider : 'openai';
+        const preset = LLM_PROVIDERS[id];
+        
+        this.provider = {
+            id: id,
+            label: preset.label,
+            endpoint: preset.requiresKey ? preset.endpoint : (config.endpoint || preset.endpoint),
+            tokenParam: config.tokenParam || preset.tokenParam,
+            headers: { ...(config.headers || {}) },
+            structuredOutput: true, // cleared if the server rejects response_format
+            requiresKey: preset.requiresKey,
+            keysURL: preset.keysURL || null,
+            pricing: {
+                input: config.pricing?.input ?? preset.pricing.input,
+                output: config.pricing?.output ?? preset.pricing.output
+            }
+        };
+        this.baseURL = this.provider.endpoint;
+        this.model = config.model || preset.model;
+        this.apiKey = config.apiKey || null;
+        this.isInitialized = !!this.baseURL && (!!this.apiKey || !this.provider.requiresKey);
+        return this.isInitialized;
+    }
+    
+    /**
+     * Initialize the agent with an API key (optional for local servers)
      */
-    initialize(apiKey) {
-        if (!apiKey || typeof apiKey !== 'string') {
-            throw new Error('Valid OpenAI API key is required');
+    initialize(apiKey = this.apiKey) {
+        if (apiKey !== null && typeof apiKey !== 'string') {
+            throw new Error('API key must be a string');
+        }
+        if (!apiKey && this.provider.requiresKey) {
+            throw new Error(`Valid ${this.provider.label} API key is required`);
+        }
+        if (!this.baseURL) {
+            throw new Error(`No endpoint set for ${this.provider.label}`);
         }
         
-        this.apiKey = apiKey;
+        this.apiKey = apiKey || null;
         this.isInitialized = true;
-        console.log('✅ OpenAI Agent initialized with API key');
+        console.log(`✅ AI agent initialized with ${this.provider.label}`);
         
         // Test the connection
         this.testConnection();
@@ -68,7 +272,7 @@ Keep response under 100 words.
                 }
             ];
             
-            const analysis = await this.makeRequest(messages);
+            const analysis = await this.makeRequest(messages, { kind: 'initial' });
             console.log('🧠 Initial AI analysis:', analysis);
             
             // Store analysis for later reference
@@ -80,22 +284,29 @@ Keep response under 100 words.
     }
     
     /**
-     * Test the OpenAI API connection
+     * Test the connection to the selected provider; resolves to true on success
      */
     async testConnection() {
+        const label = this.provider.label;
         try {
             const response = await this.makeRequest([
                 {
                     role: 'user',
-                    content: 'Respond with "OpenAI connection successful" if you can read this.'
+                    content: 'Respond with "Connection successful" if you can read this.'
                 }
-            ]);
+            ], { kind: 'test' });
             
-            console.log('🔗 OpenAI Connection Test:', response);
-            this.game.ui.showNotification('🤖 OpenAI AI Agent Connected!', 'success', 3000);
+            console.log(`🔗 ${label} Connection Test:`, response);
+            this.game.ui.showNotification(`🤖 ${label} connected (${this.model || 'server default model'})!`, 'success', 3000);
+            return true;
         } catch (error) {
-            console.error('❌ OpenAI connection test failed:', error);
-            this.game.ui.showNotification('❌ OpenAI connection failed. Check API key.', 'error', 5000);
+            console.error(`❌ ${label} connection test failed:`, error);
+            // fetch rejects with a TypeError when the server is down or blocks this origin
+            const reason = error instanceof TypeError
+                ? 'server unreachable (is it running and allowing this page\'s origin?)'
+                : error.message;
+            this.game.ui.showNotification(`❌ ${label} connection failed: ${reason}`, 'error', 5000);
+            return false;
         }
     }
     
@@ -108,6 +319,12 @@ Keep response under 100 words.
         }
         
         try {
+            const cacheKey = this.getCacheKey('analysis');
+            const cached = await this.readCache(cacheKey);
+            if (cached) {
+                return { ...this.parseAnalysisResponse(cached.response), cached: true, timestamp: new Date(cached.created).toISOString() };
+            }
+            
             const gameState = this.serializeGameState();
             const prompt = this.buildAnalysisPrompt(gameState);
             
@@ -122,7 +339,8 @@ Keep response under 100 words.
                 }
             ];
             
-            const response = await this.makeRequest(messages);
+            const response = await this.makeRequest(messages, { kind: 'analysis' });
+            await this.writeCache(cacheKey, response);
             return this.parseAnalysisResponse(response);
             
         } catch (error) {
@@ -131,6 +349,23 @@ Keep response under 100 words.
         }
     }
     
+    /**
+     * User prompt for the general game analysis
+     */
+    buildAnalysisPrompt(gameState) {
+        return `
+Analyze this Klondike Solitaire game state:
+${gameState}
+
+Cover:
+1. The most important move right now and why
+2. Face-down cards worth freeing first
+3. Risks to avoid (blocked columns, wasted stock passes)
+
+Keep response under 150 words.
+`;
+    }
+    
     /**
      * Get specific move recommendations
      */
@@ -140,43 +375,68 @@ Keep response under 100 words.
         }
         
         try {
+            const legalMoves = this.getLegalMoves();
+            if (legalMoves.length === 0) {
+                throw new Error('No legal moves in this position');
+            }
+            
+            // A cached reply still has to pass validation against the current legal moves
+            const cacheKey = this.getCacheKey('move');
+            const cached = await this.readCache(cacheKey);
+            if (cached) {
+                const recommendation = this.parseVisualMoveRecommendation(cached.response, legalMoves);
+                if (!recommendation.error) {
+                    return { ...recommendation, cached: true };
+                }
+            }
+            
             const gameState = this.serializeGameState();
             
             const prompt = `
 Current Klondike Solitaire game state:
 ${gameState}
 
-Recommend the BEST single move. Respond with ONLY one of these formats:
-
-STOCK: Draw from deck
-WASTE_TO_FOUNDATION: [suit] (♠/♥/♦/♣)
-TABLEAU_TO_FOUNDATION: [column] [suit] (column 1-7, suit ♠/♥/♦/♣)
-TABLEAU_TO_TABLEAU: [from_column] [to_column] (columns 1-7)
-WASTE_TO_TABLEAU: [column] (column 1-7)
+LEGAL MOVES (notation: description):
+${legalMoves.map(legal => `${legal.notation}: ${legal.description}`).join('\n')}
 
-Example responses:
-STOCK: Draw from deck
-WASTE_TO_FOUNDATION: ♠
-TABLEAU_TO_FOUNDATION: 3 ♥
-TABLEAU_TO_TABLEAU: 5 2
-WASTE_TO_TABLEAU: 4
+Notation: S = click the stock, W = waste, F = foundation, 1-7 = columns.
+"2>6x3" moves three cards from column 2 to column 6; "Fh>4" brings the top heart down from its foundation.
 
-Be concise - only the action format above.
+Recommend the BEST single move. Respond with ONLY this JSON object:
+{"move": "<notation from LEGAL MOVES>", "rationale": "<one short sentence>", "confidence": <0 to 1>}
 `;
             
             const messages = [
                 {
                     role: 'system',
-                    content: 'You are a Klondike Solitaire expert. Respond with ONLY the move format requested - no explanations.'
+                    content: 'You are a Klondike Solitaire expert. Respond with ONLY the JSON object requested - no other text.'
                 },
                 {
                     role: 'user',
                     content: prompt
                 }
             ];
+            const responseFormat = this.getMoveResponseFormat(legalMoves);
             
-            const response = await this.makeRequest(messages);
-            return this.parseVisualMoveRecommendation(response);
+            // Re-prompt with the validation error until the model names a legal move
+            let lastError = null;
+            for (let attempt = 1; attempt <= this.maxRecommendationAttempts; attempt++) {
+                const response = await this.makeRequest(messages, { responseFormat, kind: 'move' });
+                const recommendation = this.parseVisualMoveRecommendation(response, legalMoves);
+                if (!recommendation.error) {
+                    await this.writeCache(cacheKey, response);
+                    return recommendation;
+                }
+                
+                lastError = recommendation.error;
+                console.warn(`⚠️ Move recommendation rejected (attempt ${attempt}): ${lastError}`);
+                messages.push(
+                    { role: 'assistant', content: response },
+                    { role: 'user', content: `That reply was rejected: ${lastError}. Respond again with ONLY the JSON object, taking "move" from the LEGAL MOVES list.` }
+                );
+            }
+            
+            throw new Error(`No legal move suggested after ${this.maxRecommendationAttempts} attempts (${lastError})`);
             
         } catch (error) {
             console.error('Error getting move recommendation:', error);
@@ -184,6 +444,29 @@ Be concise - only the action format above.
         }
     }
     
+    /**
+     * JSON schema for a move recommendation; the move must be one of the legal notations
+     */
+    getMoveResponseFormat(legalMoves) {
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: 'klondike_move',
+                strict: true,
+                schema: {
+                    type: 'object',
+                    properties: {
+                        move: { type: 'string', enum: legalMoves.map(legal => legal.notation) },
+                        rationale: { type: 'string' },
+                        confidence: { type: 'number', description: 'From 0 (guess) to 1 (certain)' }
+                    },
+                    required: ['move', 'rationale', 'confidence'],
+                    additionalProperties: false
+                }
+            }
+        };
+    }
+    
     /**
      * Analyze if the game is winnable
      */
@@ -193,6 +476,12 @@ Be concise - only the action format above.
         }
         
         try {
+            const cacheKey = this.getCacheKey('win_probability');
+            const cached = await this.readCache(cacheKey);
+            if (cached) {
+                return { ...this.parseWinProbabilityResponse(cached.response), cached: true };
+            }
+            
             const gameState = this.serializeGameState();
             
             const prompt = `
@@ -223,7 +512,8 @@ STRATEGY: [recommended approach]
                 }
             ];
             
-            const response = await this.makeRequest(messages);
+            const response = await this.makeRequest(messages, { kind: 'win_probability' });
+            await this.writeCache(cacheKey, response);
             return this.parseWinProbabilityResponse(response);
             
         } catch (error) {
@@ -267,7 +557,7 @@ Give me 2-3 specific actionable suggestions.
                 }
             ];
             
-            const response = await this.makeRequest(messages);
+            const response = await this.makeRequest(messages, { kind: 'unstuck' });
             return response;
             
         } catch (error) {
@@ -290,12 +580,22 @@ Give me 2-3 specific actionable suggestions.
         let moveCount = 0;
         const executedMoves = [];
         
+        if (!this.confirmAutoSolveBudget(maxMoves)) {
+            return {
+                success: false,
+                reason: 'Cancelled: over the AI coach budget',
+                moves: executedMoves,
+                moveCount: moveCount,
+                timeTaken: Date.now() - startTime
+            };
+        }
+        
         try {
             while (!this.game.gameWon && moveCount < maxMoves) {
                 // Get the next best move from GPT
                 const recommendation = await this.getMoveRecommendation();
                 
-                if (!recommendation || !recommendation.action) {
+                if (!recommendation || !recommendation.move) {
                     console.log('❌ GPT AI could not find a valid move');
                     break;
                 }
@@ -369,119 +669,46 @@ Give me 2-3 specific actionable suggestions.
     }
     
     /**
-     * Execute a move recommendation
+     * Ask before an auto-solve whose estimated use runs past a budget; the budget
+     * check in makeRequest still stops the run once the budget is spent
+     */
+    confirmAutoSolveBudget(maxMoves) {
+        const usage = this.game.coachUsage;
+        if (!usage) return true;
+        
+        // Rough guess: two requests per card not yet on a foundation
+        const foundationCards = Object.values(this.game.state.foundations)
+            .reduce((sum, pile) => sum + pile.length, 0);
+        const requests = Math.min(maxMoves, (52 - foundationCards) * 2);
+        const average = usage.getAverageRequest('move');
+        const tokens = requests * (average.promptTokens + average.completionTokens);
+        const cost = requests * this.estimateCost(average.promptTokens, average.completionTokens);
+        
+        const overrun = usage.getOverrunWarning(tokens, cost);
+        if (!overrun) return true;
+        
+        return confirm(`Auto-solve may take about ${requests} requests (~${usage.formatTokens(tokens)} tokens, ~${usage.formatCost(cost)}), ` +
+            `more than your AI coach budget allows (${overrun}).\n\nIt will stop when the budget runs out. Start anyway?`);
+    }
+    
+    /**
+     * Execute a move recommendation through the hint system's move path
+     * (undo steps, scoring and auto-moves included)
      */
     async executeMove(recommendation) {
         try {
-            if (!recommendation || !recommendation.action) {
+            if (!recommendation || !recommendation.notation) {
                 return false;
             }
             
-            const action = recommendation.action.toUpperCase();
-            
-            if (action === 'STOCK') {
-                // Draw from stock
-                this.game.ai.flipStock();
-                return true;
-            }
-            
-            if (action === 'WASTE_TO_FOUNDATION') {
-                // Move top waste card to foundation
-                if (this.game.state.waste.length > 0) {
-                    const card = this.game.state.waste[this.game.state.waste.length - 1];
-                    if (this.game.rules.canPlaceOnFoundation(card)) {
-                        this.game.state.waste.pop();
-                        this.game.state.foundations[card.suit].push(card);
-                        this.game.state.gameStats.moves++;
-                        this.game.state.updateScore('foundation');
-                        this.game.state.checkWinCondition();
-                        this.game.renderer.render();
-                        return true;
-                    }
-                }
+            // Re-read the notation in case the board changed since the recommendation
+            const move = this.game.engine.parseMove(recommendation.notation, this.game.state);
+            if (!move) {
                 return false;
             }
             
-            if (action === 'TABLEAU_TO_FOUNDATION') {
-                // Move tableau card to foundation
-                const column = recommendation.column - 1; // Convert to 0-based
-                if (column >= 0 && column < 7 && this.game.state.tableau[column].length > 0) {
-                    const pile = this.game.state.tableau[column];
-                    const card = pile[pile.length - 1];
-                    if (card.faceUp && this.game.rules.canPlaceOnFoundation(card)) {
-                        pile.pop();
-                        this.game.state.foundations[card.suit].push(card);
-                        this.game.state.gameStats.moves++;
-                        this.game.state.updateScore('foundation');
-                        
-                        // Flip next card if needed
-                        if (pile.length > 0 && !pile[pile.length - 1].faceUp) {
-                            pile[pile.length - 1].faceUp = true;
-                        }
-                        
-                        this.game.state.checkWinCondition();
-                        this.game.renderer.render();
-                        return true;
-                    }
-                }
-                return false;
-            }
-            
-            if (action === 'TABLEAU_TO_TABLEAU') {
-                // Move cards between tableau columns
-                const fromCol = recommendation.fromColumn - 1;
-                const toCol = recommendation.toColumn - 1;
-                
-                if (fromCol >= 0 && fromCol < 7 && toCol >= 0 && toCol < 7 && fromCol !== toCol) {
-                    const fromPile = this.game.state.tableau[fromCol];
-                    const toPile = this.game.state.tableau[toCol];
-                    
-                    if (fromPile.length > 0) {
-                        // Find the sequence to move (all face-up cards from the bottom)
-                        let moveIndex = fromPile.length - 1;
-                        while (moveIndex > 0 && fromPile[moveIndex - 1].faceUp) {
-                            moveIndex--;
-                        }
-                        
-                        const cardToMove = fromPile[moveIndex];
-                        if (this.game.rules.canPlaceOnTableau(cardToMove, toPile)) {
-                            const cardsToMove = fromPile.splice(moveIndex);
-                            toPile.push(...cardsToMove);
-                            this.game.state.gameStats.moves++;
-                            
-                            // Flip next card in source pile if needed
-                            if (fromPile.length > 0 && !fromPile[fromPile.length - 1].faceUp) {
-                                fromPile[fromPile.length - 1].faceUp = true;
-                            }
-                            
-                            this.game.renderer.render();
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            }
-            
-            if (action === 'WASTE_TO_TABLEAU') {
-                // Move waste card to tableau
-                const column = recommendation.column - 1;
-                if (column >= 0 && column < 7 && this.game.state.waste.length > 0) {
-                    const card = this.game.state.waste[this.game.state.waste.length - 1];
-                    const pile = this.game.state.tableau[column];
-                    
-                    if (this.game.rules.canPlaceOnTableau(card, pile)) {
-                        this.game.state.waste.pop();
-                        pile.push(card);
-                        this.game.state.gameStats.moves++;
-                        this.game.state.updateScore('waste_to_tableau');
-                        this.game.renderer.render();
-                        return true;
-                    }
-                }
-                return false;
-            }
-            
-            return false;
+            await this.game.ai.executeMove(move);
+            return true;
             
         } catch (error) {
             console.error('Error executing move:', error);
@@ -490,13 +717,80 @@ Give me 2-3 specific actionable suggestions.
     }
     
     /**
-     * Make API request to OpenAI
+     * Cache key for a prompt type about the current position: the position as the
+     * player sees it, plus the provider, model and rules that shape the answer.
+     * The position hash leaves out the pass limit, so the limit and the passes
+     * used so far are part of the rules.
+     */
+    getCacheKey(type) {
+        const engine = this.game.engine;
+        const state = this.game.state;
+        const position = engine.hashState(engine.visibleState(state));
+        const passes = `P${engine.rules.maxPasses || 'unlimited'}R${state.recycles || 0}`;
+        const rules = `D${engine.getDrawMode(state)}:${passes}:${engine.formatTableauRules() || 'standard'}`;
+        return [type, this.provider.id, this.model || 'default', rules, position].join('|');
+    }
+    
+    // The cache only saves requests, so its failures never stop the coach
+    async readCache(key) {
+        try {
+            return await this.cache.get(key);
+        } catch (error) {
+            console.warn('⚠️ Coach cache read failed:', error);
+            return null;
+        }
+    }
+    
+    async writeCache(key, response) {
+        try {
+            await this.cache.set(key, response);
+        } catch (error) {
+            console.warn('⚠️ Coach cache write failed:', error);
+        }
+    }
+    
+    /**
+     * US$ for a request at the provider's pricing
      */
-    async makeRequest(messages) {
+    estimateCost(promptTokens, completionTokens) {
+        return (promptTokens * this.provider.pricing.input + completionTokens * this.provider.pricing.output) / 1e6;
+    }
+    
+    /**
+     * Log a request's tokens and cost from the response's usage field
+     */
+    recordUsage(kind, usage, messages, content) {
+        if (!this.game.coachUsage) return;
+        
+        // Servers that leave usage out are estimated at about four characters a token
+        const estimated = !usage || typeof usage.prompt_tokens !== 'number';
+        const promptTokens = estimated ? Math.ceil(JSON.stringify(messages).length / 4) : usage.prompt_tokens;
+        const completionTokens = estimated ? Math.ceil(String(content || '').length / 4) : (usage.completion_tokens || 0);
+        
+        this.game.coachUsage.record({
+            kind: kind,
+            provider: this.provider.id,
+            model: this.model || 'default',
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            cost: this.estimateCost(promptTokens, completionTokens),
+            estimated: estimated
+        });
+    }
+    
+    /**
+     * Make a chat completions request to the selected provider
+     */
+    async makeRequest(messages, { responseFormat = null, kind = 'other' } = {}) {
         if (!this.isInitialized) {
             throw new Error('OpenAI Agent not initialized');
         }
         
+        const blocked = this.game.coachUsage && this.game.coachUsage.getBudgetBlock();
+        if (blocked) {
+            throw new Error(`AI coach budget reached: ${blocked}. Raise it in Settings.`);
+        }
+        
         console.log('🔄 Making API request to:', this.baseURL);
         console.log('🤖 Using model:', this.model);
         console.log('📝 Request messages:', messages);
@@ -509,20 +803,29 @@ Give me 2-3 specific actionable suggestions.
         }
         
         const requestBody = {
-            model: this.model,
             messages: messages,
-            max_completion_tokens: this.max_completion_tokens
+            [this.provider.tokenParam]: this.max_completion_tokens
         };
+        if (this.model) {
+            requestBody.model = this.model;
+        }
+        // Structured output where the server supports it; prompts spell out the JSON as well
+        if (responseFormat && this.provider.structuredOutput) {
+            requestBody.response_format = responseFormat;
+        }
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        Object.assign(headers, this.provider.headers);
         
         console.log('📤 Request body:', JSON.stringify(requestBody, null, 2));
         
         try {
             const response = await fetch(this.baseURL, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
+                headers: headers,
                 body: JSON.stringify(requestBody)
             });
             
@@ -542,7 +845,17 @@ Give me 2-3 specific actionable suggestions.
                     errorData = { error: { message: errorText } };
                 }
                 
-                throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+                // Only a complaint about the structured output request itself means the
+                // server can't do it; other 400s (bad model, too long) are real errors
+                if (response.status === 400 && requestBody.response_format && /response_format|json_schema/i.test(errorText)) {
+                    console.warn(`⚠️ ${this.provider.label} rejected response_format, retrying without it`);
+                    this.provider.structuredOutput = false;
+                    return this.makeRequest(messages, { kind });
+                }
+                
+                // Some local servers send the error as a bare string
+                const message = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
+                throw new Error(`${this.provider.label} API error: ${response.status} - ${message || 'Unknown error'}`);
             }
             
             const responseText = await response.text();
@@ -554,6 +867,8 @@ Give me 2-3 specific actionable suggestions.
             const content = data.choices?.[0]?.message?.content;
             console.log('💬 Extracted content:', content);
             
+            this.recordUsage(kind, data.usage, messages, content);
+            
             return content || 'No response received';
             
         } catch (error) {
@@ -661,49 +976,42 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
     }
     
     /**
-     * Get available moves for analysis
+     * Legal moves in this position: { notation, move, description }
      */
-    getAvailableMoves() {
-        const moves = [];
-        
-        // Check stock
-        if (this.game.state.stock.length > 0) {
-            moves.push('Draw from stock pile');
-        }
-        
-        // Check waste to foundation
-        if (this.game.state.waste.length > 0) {
-            const wasteCard = this.game.state.waste[this.game.state.waste.length - 1];
-            if (this.game.rules.canPlaceOnFoundation(wasteCard)) {
-                moves.push(`Move ${wasteCard.rank}${wasteCard.suit} from waste to foundation`);
-            }
-        }
+    getLegalMoves() {
+        const cardName = card => `${card.rank}${card.suit}`;
         
-        // Check tableau to foundation
-        this.game.state.tableau.forEach((pile, index) => {
-            if (pile.length > 0) {
-                const topCard = pile[pile.length - 1];
-                if (topCard.faceUp && this.game.rules.canPlaceOnFoundation(topCard)) {
-                    moves.push(`Move ${topCard.rank}${topCard.suit} from column ${index + 1} to foundation`);
-                }
-            }
-        });
-        
-        // Check tableau moves
-        this.game.state.tableau.forEach((sourcePile, sourceIndex) => {
-            if (sourcePile.length > 0) {
-                const faceUpCards = sourcePile.filter(card => card.faceUp);
-                faceUpCards.forEach((card, cardIndex) => {
-                    this.game.state.tableau.forEach((targetPile, targetIndex) => {
-                        if (sourceIndex !== targetIndex && this.game.rules.canPlaceOnTableau(card, targetPile)) {
-                            const cardPosition = sourcePile.length - faceUpCards.length + cardIndex;
-                            const cardsToMove = sourcePile.length - cardPosition;
-                            moves.push(`Move ${cardsToMove} card(s) from column ${sourceIndex + 1} to column ${targetIndex + 1}`);
-                        }
-                    });
-                });
+        // Same move generator the hint system and solver use
+        return this.game.engine.generateMoves(this.game.state).map(move => {
+            let description;
+            switch (move.type) {
+                case 'draw_stock':
+                    description = move.recycle ? 'Recycle waste back into stock' : 'Draw from stock pile';
+                    break;
+                case 'waste_to_foundation':
+                    description = `Move ${cardName(move.card)} from waste to foundation`;
+                    break;
+                case 'waste_to_tableau':
+                    description = `Move ${cardName(move.card)} from waste to column ${move.to.index + 1}`;
+                    break;
+                case 'tableau_to_foundation':
+                    description = `Move ${cardName(move.card)} from column ${move.from.index + 1} to foundation`;
+                    break;
+                case 'foundation_to_tableau':
+                    description = `Move ${cardName(move.card)} from foundation to column ${move.to.index + 1}`;
+                    break;
+                default:
+                    description = `Move ${move.count} card(s) from column ${move.from.index + 1} to column ${move.to.index + 1}`;
             }
+            return { notation: this.game.engine.formatMove(move), move, description };
         });
+    }
+    
+    /**
+     * Get available moves for analysis
+     */
+    getAvailableMoves() {
+        const moves = this.getLegalMoves().map(legal => `${legal.notation}: ${legal.description}`);
         
         return moves.length > 0 ? moves : ['No obvious moves available - consider drawing from stock or looking for hidden opportunities'];
     }
@@ -729,66 +1037,75 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
     }
     
     /**
-     * Parse move recommendation response
+     * Parse and validate a JSON move recommendation against the legal moves;
+     * returns { error } when the reply is unreadable or names an illegal move
      */
-    parseVisualMoveRecommendation(response) {
-        const cleanResponse = response.trim().toUpperCase();
+    parseVisualMoveRecommendation(response, legalMoves) {
+        const text = String(response || '').trim();
         
-        if (cleanResponse.includes('STOCK')) {
-            return {
-                type: 'stock',
-                action: 'draw',
-                visual: 'highlight_stock'
-            };
+        // Tolerate a code fence or a stray sentence around the object
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end < start) {
+            return { error: 'no JSON object found' };
         }
         
-        if (cleanResponse.includes('WASTE_TO_FOUNDATION')) {
-            const suitMatch = cleanResponse.match(/[♠♥♦♣]/);
-            return {
-                type: 'waste_to_foundation',
-                suit: suitMatch ? suitMatch[0] : null,
-                visual: 'highlight_waste_and_foundation'
-            };
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return { error: `invalid JSON (${error.message})` };
         }
         
-        if (cleanResponse.includes('TABLEAU_TO_FOUNDATION')) {
-            const matches = cleanResponse.match(/(\d+)\s*([♠♥♦♣])/);
-            return {
-                type: 'tableau_to_foundation',
-                column: matches ? parseInt(matches[1]) - 1 : null, // Convert to 0-based
-                suit: matches ? matches[2] : null,
-                visual: 'highlight_tableau_and_foundation'
-            };
+        if (!data || typeof data.move !== 'string') {
+            return { error: 'the "move" field is missing' };
         }
         
-        if (cleanResponse.includes('TABLEAU_TO_TABLEAU')) {
-            const matches = cleanResponse.match(/(\d+)\s+(\d+)/);
-            return {
-                type: 'tableau_to_tableau',
-                fromColumn: matches ? parseInt(matches[1]) - 1 : null, // Convert to 0-based
-                toColumn: matches ? parseInt(matches[2]) - 1 : null,
-                visual: 'highlight_tableau_move'
-            };
+        const notation = data.move.trim();
+        const legal = legalMoves.find(candidate => candidate.notation === notation);
+        if (!legal) {
+            return { error: `"${notation}" is not a legal move in this position` };
         }
         
-        if (cleanResponse.includes('WASTE_TO_TABLEAU')) {
-            const match = cleanResponse.match(/(\d+)/);
-            return {
-                type: 'waste_to_tableau',
-                column: match ? parseInt(match[1]) - 1 : null, // Convert to 0-based
-                visual: 'highlight_waste_and_tableau'
-            };
+        let confidence = Number(data.confidence);
+        if (data.confidence === null || data.confidence === undefined || !Number.isFinite(confidence)) {
+            confidence = null;
+        } else {
+            // Some models answer in percent
+            confidence = Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence));
         }
         
-        // Fallback
         return {
-            type: 'unknown',
-            action: 'no_move',
-            visual: 'no_highlight',
-            rawResponse: response
+            ...this.getVisualHintTarget(legal.move),
+            notation: notation,
+            move: legal.move,
+            rationale: typeof data.rationale === 'string' ? data.rationale.trim() : '',
+            confidence: confidence
         };
     }
     
+    /**
+     * Piles to highlight for an engine move (columns are 0-based)
+     */
+    getVisualHintTarget(move) {
+        switch (move.type) {
+            case 'draw_stock':
+                return { type: 'stock', action: move.recycle ? 'recycle' : 'draw', visual: 'highlight_stock' };
+            case 'waste_to_foundation':
+                return { type: 'waste_to_foundation', suit: move.card.suit, visual: 'highlight_waste_and_foundation' };
+            case 'tableau_to_foundation':
+                return { type: 'tableau_to_foundation', column: move.from.index, suit: move.card.suit, visual: 'highlight_tableau_and_foundation' };
+            case 'tableau_to_tableau':
+                return { type: 'tableau_to_tableau', fromColumn: move.from.index, toColumn: move.to.index, visual: 'highlight_tableau_move' };
+            case 'waste_to_tableau':
+                return { type: 'waste_to_tableau', column: move.to.index, visual: 'highlight_waste_and_tableau' };
+            case 'foundation_to_tableau':
+                return { type: 'foundation_to_tableau', suit: move.from.suit, column: move.to.index, visual: 'highlight_foundation_and_tableau' };
+            default:
+                return { type: 'unknown', action: 'no_move', visual: 'no_highlight' };
+        }
+    }
+    
     parseMoveRecommendation(response) {
         const lines = response.split('\n');
         const result = {
@@ -861,7 +1178,7 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
                         ${analysis.analysis.replace(/\n/g, '<br>')}
                     </div>
                     <div class="analysis-footer">
-                        <small>Powered by o4-mini • ${new Date().toLocaleTimeString()}</small>
+                        <small>${analysis.cached ? '⚡ Cached reply • ' : ''}Powered by ${this.model || this.provider.label} • ${new Date(analysis.timestamp).toLocaleTimeString()}</small>
                     </div>
                 </div>
             `;
@@ -884,7 +1201,7 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
             console.log('🔑 API key present:', !!this.apiKey);
             
             if (!this.isInitialized) {
-                this.game.ui.showNotification('❌ OpenAI Agent not initialized. Please set API key first.', 'error', 4000);
+                this.game.ui.showNotification('❌ AI agent not set up. Add an API key or pick a local server in Settings.', 'error', 4000);
                 return;
             }
             
@@ -908,9 +1225,12 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
             
             // Show detailed hint text
             const hintText = this.getHintText(recommendation);
-            const strategicReason = this.getStrategicReason(recommendation);
+            const strategicReason = recommendation.rationale || this.getStrategicReason(recommendation);
+            const confidenceText = recommendation.confidence !== null ? ` (${Math.round(recommendation.confidence * 100)}% sure)` : '';
             
-            this.game.ui.showNotification(`🎯 ${hintText}`, 'hint', 5000);
+            const cachedText = recommendation.cached ? ' ⚡ cached' : '';
+            
+            this.game.ui.showNotification(`🎯 ${hintText}${confidenceText}${cachedText}`, 'hint', 5000);
             
             // Show additional strategic context
             if (strategicReason) {
@@ -940,6 +1260,8 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
                 return 'This move reveals hidden cards or creates better sequences';
             case 'waste_to_tableau':
                 return 'This creates new building opportunities';
+            case 'foundation_to_tableau':
+                return 'Bringing a card back down gives a lower card somewhere to go';
             default:
                 return null;
         }
@@ -948,7 +1270,7 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
     getHintText(recommendation) {
         switch (recommendation.type) {
             case 'stock':
-                return 'Draw from deck';
+                return recommendation.action === 'recycle' ? 'Turn the waste back into the deck' : 'Draw from deck';
             case 'waste_to_foundation':
                 return `Move waste card to ${recommendation.suit} foundation`;
             case 'tableau_to_foundation':
@@ -957,6 +1279,8 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
                 return `Move from column ${recommendation.fromColumn + 1} to column ${recommendation.toColumn + 1}`;
             case 'waste_to_tableau':
                 return `Move waste card to column ${recommendation.column + 1}`;
+            case 'foundation_to_tableau':
+                return `Move the ${recommendation.suit} foundation card to column ${recommendation.column + 1}`;
             default:
                 return 'No clear move found';
         }
@@ -990,6 +1314,9 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
                 case 'waste_to_tableau':
                     this.highlightWasteAndTableau(rec.column);
                     break;
+                case 'foundation_to_tableau':
+                    this.highlightFoundationAndTableau(rec.suit, rec.column);
+                    break;
                 default:
                     console.log('Unknown hint type:', rec.type);
             }
@@ -1067,6 +1394,20 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
         
         console.log(`✨ Waste and column ${column + 1} highlighted`);
     }
+    
+    highlightFoundationAndTableau(suit, column) {
+        const foundationElement = document.querySelector(`.foundation-${suit}`);
+        if (foundationElement) {
+            foundationElement.classList.add('ai-hint-source');
+        }
+        
+        const tableauElement = document.querySelector(`.tableau-column[data-column="${column}"]`);
+        if (tableauElement) {
+            tableauElement.classList.add('ai-hint-target');
+        }
+        
+        console.log(`✨ ${suit} foundation and column ${column + 1} highlighted`);
+    }
 
     clearVisualHints() {
         console.log('🧹 Clearing visual hints');
@@ -1093,6 +1434,7 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
                     <h3>📊 Win Probability Analysis</h3>
                     <div>${res.probability}% chance to win</div>
                     <div><strong>Strategy:</strong> ${res.strategy}</div>
+                    ${res.cached ? '<small>⚡ Cached reply</small>' : ''}
                 </div>`;
             this.game.ui.showCustomNotification(html, 'ai-win', 8000);
         } catch (e) {
@@ -1102,7 +1444,7 @@ STRATEGIC PRIORITY: Find moves that reveal face-down cards, build foundations, o
     }
 
     isAvailable() {
-        return this.isInitialized && !!this.apiKey;
+        return this.isInitialized && (!!this.apiKey || !this.provider.requiresKey);
     }
 }
 
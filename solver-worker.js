@@ -1,402 +1,792 @@
 /**
  * Solver Worker for Klondike Solitaire
- * Implements backtracking algorithm to determine solvability and find optimal moves
+ * Best-first search (A* in shortest mode) to determine solvability and find winning lines
  * Based on solitaired_ai_steps.md specification
+ *
+ * Draw mode, waste recycling, pass limits and the tableau rules come from KlondikeEngine;
+ * pass the page's rules with each message so the search plays the same game.
  */
 
-class KlondikeSolver {
+importScripts('klondike-engine.js');
+
+/**
+ * Binary min-heap on node.priority (ties go to the deeper node)
+ */
+class SolverHeap {
     constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    less(a, b) {
+        return a.priority < b.priority || (a.priority === b.priority && a.g > b.g);
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class KlondikeSolver {
+    constructor(rules = {}) {
         this.maxDepth = 200;
         this.maxTime = 10000; // 10 seconds max
-        this.visitedStates = new Set();
+        this.maxStates = 200000; // transposition table bound
+        this.shortest = false;
+        this.rootSplit = null;
+        this.hitLimit = false;
+        this.statesExplored = 0;
+        this.deadEnds = 0; // expanded positions that led nowhere new
+        this.cancelled = false;
+        this.sliceTime = 50; // ms of search between yields to the message loop
+        this.progressInterval = 250;
+        this.engine = new KlondikeEngine(rules);
     }
 
     /**
-     * Main solver function - returns { solvable, bestMoves, minMoves }
+     * Main solver function - returns { solvable, proven, optimal, bestMoves, minMoves }.
+     * proven is false when the time, depth or state limit cut the search short, in
+     * which case solvable: false only means "no solution found". With
+     * options.shortest the search is A* and minMoves is the true minimum (optimal: true).
      */
-    solve(gameState, maxDepth = 200) {
-        console.log('🔍 Starting Klondike solver...');
-        const startTime = Date.now();
-        
-        this.maxDepth = maxDepth;
-        this.visitedStates.clear();
-        
+    solve(gameState, maxDepth = 200, maxTime = 10000, options = {}) {
+        try {
+            const steps = this.startSearch(gameState, maxDepth, maxTime, options);
+            let step = steps.next();
+            while (!step.done) step = steps.next();
+            return this.finishSearch(step.value);
+        } catch (error) {
+            return this.failSearch(error);
+        }
+    }
+
+    /**
+     * Same search as solve(), run in time slices so the worker keeps reading
+     * messages. onProgress receives { nodesExplored, frontier, depth,
+     * foundationCards, bestLine } every progressInterval ms; cancel() stops the
+     * search at the next slice and resolves { cancelled: true }.
+     */
+    async solveAsync(gameState, maxDepth = 200, maxTime = 10000, options = {}, onProgress = null) {
         try {
-            const result = this.search(gameState, [], 0, startTime);
+            const steps = this.startSearch(gameState, maxDepth, maxTime, options);
+            const outcome = await this.runSliced(steps, onProgress && (snapshot => onProgress(this.describeProgress(snapshot))));
             
-            if (result.solvable) {
-                console.log(`✅ Game is solvable in ${result.bestMoves.length} moves`);
-                return {
-                    solvable: true,
-                    bestMoves: result.bestMoves,
-                    minMoves: result.bestMoves.length
-                };
-            } else {
-                console.log('❌ Game appears unsolvable or timeout reached');
-                return {
-                    solvable: false,
-                    bestMoves: [],
-                    minMoves: -1
-                };
+            if (outcome.cancelled) {
+                return { cancelled: true, solvable: false, proven: false, bestMoves: [], minMoves: -1 };
             }
+            return this.finishSearch(outcome.value);
         } catch (error) {
-            console.error('❌ Solver error:', error);
-            return {
-                solvable: false,
-                bestMoves: [],
-                minMoves: -1,
-                error: error.message
-            };
+            return this.failSearch(error);
         }
     }
 
     /**
-     * Recursive backtracking search
+     * Exact answer for an open-information (thoughtful) deal: solve, then keep
+     * searching with the depth bound one below the best line found. When a bounded
+     * search runs out of positions rather than time, no shorter line exists and
+     * minMoves is the minimum (optimal: true). Otherwise minMoves is the best
+     * bound reached by maxTime. bound, an earlier solvable result for this
+     * position, skips the first solve so a later request carries on from it.
      */
-    search(gameState, moveSequence, depth, startTime) {
-        // Time limit check
-        if (Date.now() - startTime > this.maxTime) {
-            return { solvable: false, bestMoves: [] };
+    async solveExact(gameState, maxDepth = 400, maxTime = 30000, onProgress = null, bound = null) {
+        const deadline = Date.now() + maxTime;
+        let best = bound && bound.solvable ? bound : await this.solveAsync(gameState, maxDepth, maxTime, {}, onProgress);
+        
+        while (best.solvable && !best.optimal && Date.now() < deadline) {
+            const shorter = await this.solveAsync(gameState, best.minMoves - 1, deadline - Date.now(), {}, onProgress);
+            if (shorter.cancelled) return shorter;
+            
+            if (shorter.solvable) {
+                best = { ...shorter, rating: best.rating, effort: best.effort };
+            } else if (!this.budgetExhausted) {
+                best = { ...best, optimal: true };
+            } else {
+                break;
+            }
         }
+        
+        return best;
+    }
 
-        // Depth limit check
-        if (depth >= this.maxDepth) {
-            return { solvable: false, bestMoves: [] };
+    /**
+     * Drive a search generator in sliceTime chunks, yielding to the message loop
+     * in between. Resolves { value } with the generator's return value, or
+     * { cancelled: true } once cancel() has been called.
+     */
+    async runSliced(steps, onProgress = null) {
+        let sliceStart = Date.now();
+        let lastProgress = sliceStart;
+        let step = steps.next();
+        
+        while (!step.done) {
+            const now = Date.now();
+            if (onProgress && now - lastProgress >= this.progressInterval) {
+                lastProgress = now;
+                onProgress(step.value);
+            }
+            if (now - sliceStart >= this.sliceTime) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = Date.now();
+            }
+            if (this.cancelled) {
+                console.log('🛑 Solver request cancelled');
+                return { cancelled: true };
+            }
+            step = steps.next();
         }
+        
+        return { value: step.value };
+    }
 
-        // Win condition check
-        if (this.isGameWon(gameState)) {
-            return { solvable: true, bestMoves: moveSequence };
+    /**
+     * Prove whether the foundations can still grow. Explores every position
+     * reachable without adding to the foundations; the game is a dead end if none
+     * of them offers a move that does. A card taken down from a foundation and put
+     * back is not progress. Returns { progressPossible, proven, line } where line
+     * leads to the first progress move found (that move included). proven is
+     * false if the time or state bound ran out first.
+     */
+    async checkProgress(gameState, maxTime = 3000, maxStates = 200000) {
+        try {
+            this.maxTime = maxTime;
+            this.maxStates = maxStates;
+            this.hitLimit = false;
+            
+            const steps = this.progressSearch(this.engine.cloneState(gameState), Date.now());
+            const outcome = await this.runSliced(steps);
+            if (outcome.cancelled) {
+                return { cancelled: true, progressPossible: false, proven: false, line: [] };
+            }
+            
+            const line = outcome.value;
+            console.log(line ? '✅ Foundation progress is still possible' :
+                this.hitLimit ? '❓ Dead-end check ran out of time' : '🚫 Proven dead end');
+            return {
+                progressPossible: !!line,
+                proven: !!line || !this.hitLimit,
+                line: line || []
+            };
+        } catch (error) {
+            console.error('❌ Dead-end check error:', error);
+            return { progressPossible: false, proven: false, line: [], error: error.message };
         }
+    }
 
-        // State cycle detection
-        const stateHash = this.hashGameState(gameState);
-        if (this.visitedStates.has(stateHash)) {
-            return { solvable: false, bestMoves: [] };
-        }
-        this.visitedStates.add(stateHash);
-
-        // Generate and try all possible moves
-        const possibleMoves = this.generateAllMoves(gameState);
-        const rankedMoves = this.rankMoves(possibleMoves, gameState);
-
-        for (const move of rankedMoves) {
-            const newState = this.applyMove(gameState, move);
-            if (newState) {
-                const result = this.search(
-                    newState, 
-                    [...moveSequence, move], 
-                    depth + 1, 
-                    startTime
-                );
+    *progressSearch(gameState, startTime) {
+        const table = new Set([this.hashGameState(gameState)]);
+        const stack = [{ state: gameState, parent: null, moves: [] }];
+        const rootFoundationCards = this.countFoundationCards(gameState);
+        
+        while (stack.length > 0) {
+            if (Date.now() - startTime > this.maxTime || table.size >= this.maxStates) {
+                this.hitLimit = true;
+                return null;
+            }
+            
+            const node = stack.pop();
+            const moves = this.generateAllMoves(node.state);
+            
+            // Only a foundation move that beats the root's total counts, so
+            // foundation_to_tableau and back is explored, not mistaken for progress
+            const foundationMove = this.countFoundationCards(node.state) >= rootFoundationCards &&
+                moves.find(move => move.to.source === 'foundation');
+            if (foundationMove) {
+                return [...this.reconstructPath(node), foundationMove];
+            }
+            
+            for (const move of this.pruneSymmetricMoves(moves, node.state)) {
+                const state = this.applyMove(node.state, move);
+                if (!state) continue;
                 
-                if (result.solvable) {
-                    return result;
-                }
+                const hash = this.hashGameState(state);
+                if (table.has(hash)) continue;
+                table.add(hash);
+                stack.push({ state, parent: node, moves: [move] });
             }
+            
+            yield { nodesExplored: table.size };
         }
+        
+        return null;
+    }
 
-        // Remove from visited states to allow different paths
-        this.visitedStates.delete(stateHash);
-        return { solvable: false, bestMoves: [] };
+    cancel() {
+        this.cancelled = true;
+    }
+
+    startSearch(gameState, maxDepth, maxTime, options) {
+        console.log('🔍 Starting Klondike solver...');
+        this.maxDepth = maxDepth;
+        this.maxTime = maxTime;
+        this.maxStates = options.maxStates || this.maxStates;
+        this.shortest = !!options.shortest;
+        this.rootSplit = options.rootSplit || null;
+        this.hitLimit = false;
+        this.budgetExhausted = false; // time or state bound, as opposed to the depth bound
+        this.statesExplored = 0;
+        this.deadEnds = 0;
+        
+        return this.search(this.engine.cloneState(gameState), Date.now());
+    }
+
+    finishSearch(result) {
+        const effort = this.describeEffort(result.bestMoves);
+        
+        if (result.solvable) {
+            console.log(`✅ Game is solvable in ${result.bestMoves.length} moves`);
+            return {
+                solvable: true,
+                proven: true,
+                optimal: this.shortest,
+                bestMoves: result.bestMoves,
+                minMoves: result.bestMoves.length,
+                effort: effort,
+                rating: this.rateEffort(effort)
+            };
+        }
+        
+        console.log(this.hitLimit ? '❓ No solution found before the search limit' : '❌ Game is unsolvable');
+        return {
+            solvable: false,
+            proven: !this.hitLimit,
+            bestMoves: [],
+            minMoves: -1,
+            effort: effort,
+            rating: null
+        };
     }
 
     /**
-     * Check if game is won (all cards in foundations)
+     * How hard the last search had to work: { nodesExplored, solutionLength,
+     * stockCycles (recycles the solution needs), deadEnds }
      */
-    isGameWon(gameState) {
-        const foundationCount = Object.values(gameState.foundations)
-            .reduce((sum, pile) => sum + pile.length, 0);
-        return foundationCount === 52;
+    describeEffort(bestMoves) {
+        return {
+            nodesExplored: this.statesExplored,
+            solutionLength: bestMoves.length || null,
+            stockCycles: bestMoves.filter(move => move.type === 'draw_stock' && move.recycle).length,
+            deadEnds: this.deadEnds
+        };
     }
 
     /**
-     * Generate all possible moves from current state
+     * Difficulty score 0-100 for a solved position, from the search effort.
+     * Each factor is scaled to 0-1 over the range seen on real deals.
      */
-    generateAllMoves(gameState) {
-        const moves = [];
+    rateEffort(effort) {
+        if (!effort.solutionLength) return null;
+        
+        const scale = (value, low, high) => Math.min(1, Math.max(0, (value - low) / (high - low)));
+        const score =
+            40 * scale(Math.log10(Math.max(1, effort.nodesExplored)), 2.5, 4) +
+            20 * scale(effort.solutionLength, 130, 210) +
+            20 * scale(effort.stockCycles, 3, 15) +
+            20 * scale(effort.deadEnds / Math.max(1, effort.nodesExplored), 0, 0.4);
+        return Math.round(score);
+    }
 
-        // Stock to waste moves
-        if (gameState.stock.length > 0) {
-            moves.push({ type: 'stock_to_waste', from: 'stock', to: 'waste' });
-        }
+    failSearch(error) {
+        console.error('❌ Solver error:', error);
+        return {
+            solvable: false,
+            proven: false,
+            bestMoves: [],
+            minMoves: -1,
+            error: error.message
+        };
+    }
 
-        // Waste to foundation moves
-        if (gameState.waste.length > 0) {
-            const wasteCard = gameState.waste[gameState.waste.length - 1];
-            if (this.canPlaceOnFoundation(wasteCard, gameState.foundations)) {
-                moves.push({
-                    type: 'waste_to_foundation',
-                    from: 'waste',
-                    to: wasteCard.suit,
-                    card: wasteCard
-                });
+    /**
+     * Try consecutive seeds until the solver proves one winnable (and, with
+     * band { min, max }, rates it min <= rating < max).
+     * Returns { found, seed, attempts, drawMode, minMoves, optimal, rating, effort,
+     * solution }, or { cancelled: true } if cancel() was called mid-search.
+     */
+    async findWinnableDeal({ seed, drawMode = 3, maxAttempts = 20, timePerDeal = 1500, maxDepth = 400, band = null }) {
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const dealSeed = seed + attempt;
+            const deck = this.engine.seededShuffle(this.engine.createDeck(), dealSeed);
+            const result = await this.solveAsync(this.engine.dealGame(deck, drawMode), maxDepth, timePerDeal);
+            
+            if (result.cancelled) {
+                return { found: false, cancelled: true, attempts: attempt + 1, drawMode: drawMode };
             }
-        }
-
-        // Waste to tableau moves
-        if (gameState.waste.length > 0) {
-            const wasteCard = gameState.waste[gameState.waste.length - 1];
-            for (let col = 0; col < 7; col++) {
-                if (this.canPlaceOnTableau(wasteCard, gameState.tableau[col])) {
-                    moves.push({
-                        type: 'waste_to_tableau',
-                        from: 'waste',
-                        to: col,
-                        card: wasteCard
-                    });
-                }
+            
+            if (result.solvable && (!band || (result.rating >= band.min && result.rating < band.max))) {
+                console.log(`🎲 Deal ${dealSeed} verified winnable after ${attempt + 1} attempt(s)`);
+                return {
+                    found: true,
+                    seed: dealSeed,
+                    attempts: attempt + 1,
+                    drawMode: drawMode,
+                    minMoves: result.minMoves,
+                    optimal: result.optimal,
+                    rating: result.rating,
+                    effort: result.effort,
+                    solution: result.bestMoves.map(move => this.compactMove(move))
+                };
             }
         }
+        
+        return { found: false, attempts: maxAttempts, drawMode: drawMode };
+    }
 
-        // Tableau to foundation moves
-        for (let col = 0; col < 7; col++) {
-            const pile = gameState.tableau[col];
-            if (pile.length > 0) {
-                const topCard = pile[pile.length - 1];
-                if (topCard.faceUp && this.canPlaceOnFoundation(topCard, gameState.foundations)) {
-                    moves.push({
-                        type: 'tableau_to_foundation',
-                        from: col,
-                        to: topCard.suit,
-                        card: topCard
-                    });
+    /**
+     * Judge the legal moves of a visibleState() without looking at hidden cards:
+     * every sample fills in the hidden cards one way (engine.determinize) and
+     * every move is tried on that same deal. Each solve gets at least
+     * minSolveTime; when samples × moves solves don't fit in maxTime at that,
+     * fewer samples are played. Time left at the end goes to the undecided
+     * solves again, doubling their budget each round. Returns { samples, moves:
+     * [{ move, wins, losses }] } in generateMoves() order, where a loss is a
+     * proven one and the rest of the samples were undecided.
+     */
+    async fairAnalysis({ gameState, samples = 12, sampleSeed = 1, maxTime = 6000, maxDepth = 200, minSolveTime = 500 }, onProgress = null) {
+        const moves = this.engine.generateMoves(gameState);
+        const stats = moves.map(move => ({ move: this.compactMove(move), wins: 0, losses: 0 }));
+        if (moves.length === 0) return { samples: 0, moves: stats };
+
+        const deadline = Date.now() + maxTime;
+        let solveTime = Math.max(minSolveTime, maxTime / (samples * moves.length));
+        const undecided = [];
+        let played = 0;
+
+        for (; played < samples; played++) {
+            if (played > 0 && Date.now() + moves.length * solveTime > deadline) break;
+            const deal = this.engine.determinize(gameState, sampleSeed + played);
+
+            for (let i = 0; i < moves.length; i++) {
+                const child = this.engine.applyMove(deal, moves[i]);
+                const result = await this.solveAsync(child, maxDepth, solveTime);
+
+                if (result.cancelled) {
+                    return { cancelled: true, samples: played, moves: stats };
+                }
+                if (result.solvable) {
+                    stats[i].wins++;
+                } else if (result.proven) {
+                    stats[i].losses++;
+                } else {
+                    undecided.push({ index: i, state: child });
                 }
             }
+
+            if (onProgress) onProgress({ samples: played + 1, of: samples });
         }
 
-        // Tableau to tableau moves
-        for (let fromCol = 0; fromCol < 7; fromCol++) {
-            const fromPile = gameState.tableau[fromCol];
-            if (fromPile.length === 0) continue;
+        while (undecided.length > 0 && Date.now() < deadline) {
+            solveTime *= 2;
+            for (let k = 0; k < undecided.length && Date.now() < deadline;) {
+                const { index, state } = undecided[k];
+                const result = await this.solveAsync(state, maxDepth, Math.min(solveTime, deadline - Date.now()));
 
-            // Find sequences of face-up cards that can be moved
-            const faceUpCards = [];
-            for (let i = fromPile.length - 1; i >= 0; i--) {
-                if (fromPile[i].faceUp) {
-                    faceUpCards.unshift(fromPile[i]);
-                } else {
-                    break;
+                if (result.cancelled) {
+                    return { cancelled: true, samples: played, moves: stats };
                 }
-            }
-
-            for (let seqLen = 1; seqLen <= faceUpCards.length; seqLen++) {
-                const cardToMove = faceUpCards[0];
-                
-                for (let toCol = 0; toCol < 7; toCol++) {
-                    if (fromCol === toCol) continue;
-                    
-                    if (this.canPlaceOnTableau(cardToMove, gameState.tableau[toCol])) {
-                        moves.push({
-                            type: 'tableau_to_tableau',
-                            from: fromCol,
-                            to: toCol,
-                            card: cardToMove,
-                            sequenceLength: seqLen
-                        });
-                    }
+                if (result.solvable) {
+                    stats[index].wins++;
+                } else if (result.proven) {
+                    stats[index].losses++;
+                } else {
+                    k++;
+                    continue;
                 }
+                undecided.splice(k, 1);
             }
         }
 
-        return moves;
+        return { samples: played, moves: stats };
     }
 
     /**
-     * Rank moves by strategic value (foundation > reveal > sequence building)
+     * Strip card objects from a move so solutions stay small in storage
      */
-    rankMoves(moves, gameState) {
-        return moves.sort((a, b) => {
-            const scoreA = this.getMoveScore(a, gameState);
-            const scoreB = this.getMoveScore(b, gameState);
-            return scoreB - scoreA; // Higher score first
-        });
+    compactMove(move) {
+        return {
+            type: move.type,
+            from: move.from,
+            to: move.to,
+            count: move.count,
+            cardId: move.card ? move.card.id : null
+        };
     }
 
     /**
-     * Score moves for ranking
+     * Best-first search over a bounded transposition table.
+     * Nodes are ordered by g + weight * h. In shortest mode the weight is 1 and h
+     * is the number of cards still off the foundations - a lower bound on the moves
+     * left - so the first win popped is a minimum-length solution (A*).
+     * A generator: yields a progress snapshot after every expansion and returns
+     * { solvable, bestMoves } when done.
      */
-    getMoveScore(move, gameState) {
-        let score = 0;
-
-        // Foundation moves are highest priority
-        if (move.type.includes('foundation')) {
-            score += 1000;
-            // Lower cards get higher priority
-            if (move.card) {
-                score += (14 - move.card.value) * 10;
+    *search(gameState, startTime) {
+        const weight = this.shortest ? 1 : 10;
+        const frontier = new SolverHeap();
+        const table = new Map(); // state hash -> fewest moves seen
+        
+        const root = this.expandSafeMoves({ state: gameState, g: 0, parent: null, moves: [] });
+        root.hash = this.hashGameState(root.state);
+        table.set(root.hash, root.g);
+        root.h = this.estimateRemaining(root.state);
+        root.foundationCards = this.countFoundationCards(root.state);
+        root.priority = root.g + weight * root.h;
+        frontier.push(root);
+        let bestNode = root;
+        
+        while (frontier.size > 0) {
+            if (Date.now() - startTime > this.maxTime || table.size >= this.maxStates) {
+                this.hitLimit = true;
+                this.budgetExhausted = true;
+                break;
+            }
+            
+            const node = frontier.pop();
+            if (table.get(node.hash) < node.g) continue; // reached again more cheaply
+            
+            if (this.isGameWon(node.state)) {
+                this.statesExplored = table.size;
+                return { solvable: true, bestMoves: this.reconstructPath(node) };
+            }
+            
+            let added = 0;
+            for (const step of this.generateRootShare(node, root)) {
+                const child = this.expandSafeMoves({
+                    state: step.state,
+                    g: node.g + step.moves.length,
+                    parent: node,
+                    moves: step.moves
+                });
+                if (child.g > this.maxDepth) {
+                    this.hitLimit = true;
+                    continue;
+                }
+                
+                child.hash = this.hashGameState(child.state);
+                const known = table.get(child.hash);
+                if (known !== undefined && known <= child.g) continue;
+                
+                table.set(child.hash, child.g);
+                child.h = this.estimateRemaining(child.state);
+                child.foundationCards = this.countFoundationCards(child.state);
+                child.priority = child.g + weight * child.h;
+                frontier.push(child);
+                added++;
+                if (child.h < bestNode.h) bestNode = child;
             }
+            if (added === 0) this.deadEnds++;
+            
+            // Expanded nodes only need their moves for path reconstruction
+            node.state = null;
+            
+            yield { nodesExplored: table.size, frontier: frontier.size, depth: node.g, bestNode };
         }
+        
+        this.statesExplored = table.size;
+        return { solvable: false, bestMoves: [] };
+    }
 
-        // Moves that reveal cards
-        if (move.type === 'tableau_to_foundation' || move.type === 'tableau_to_tableau') {
-            const fromPile = gameState.tableau[move.from];
-            if (fromPile && fromPile.length > 1) {
-                const cardBelow = fromPile[fromPile.length - 2];
-                if (!cardBelow.faceUp) {
-                    score += 500; // Reveals hidden card
-                }
+    /**
+     * With rootSplit { part, parts } the pool gives each worker every parts-th
+     * move out of the root, so the workers search disjoint lines
+     */
+    generateRootShare(node, root) {
+        const steps = this.generateSteps(node.state);
+        if (node !== root || !this.rootSplit) return steps;
+        
+        const { part, parts } = this.rootSplit;
+        return steps.filter((step, index) => index % parts === part);
+    }
+
+    /**
+     * Successors of a position as { moves, state }. Stock clicks are folded into
+     * the waste play they lead to ("draw k times, then play the waste card"), so
+     * the search never stores positions that differ only in how far the stock
+     * has been turned.
+     */
+    generateSteps(gameState) {
+        const steps = [];
+        
+        for (const move of this.pruneSymmetricMoves(this.generateAllMoves(gameState), gameState)) {
+            if (move.type === 'draw_stock') continue;
+            const state = this.applyMove(gameState, move);
+            if (state) steps.push({ moves: [move], state });
+        }
+        
+        // Turn the stock one click at a time until a stock position repeats
+        const drawMove = { type: 'draw_stock', from: { source: 'stock' }, to: { source: 'waste' } };
+        const seen = new Set([this.stockKey(gameState)]);
+        const clicks = [];
+        let current = gameState;
+        
+        while (this.engine.canDrawStock(current)) {
+            const click = {
+                ...drawMove,
+                count: Math.min(this.engine.getDrawMode(current), current.stock.length),
+                recycle: current.stock.length === 0
+            };
+            current = this.applyMove(current, click);
+            clicks.push(click);
+            const key = this.stockKey(current);
+            if (seen.has(key)) break;
+            seen.add(key);
+            
+            for (const move of this.generateWasteMoves(current)) {
+                steps.push({ moves: [...clicks, move], state: this.applyMove(current, move) });
             }
         }
+        
+        return steps;
+    }
 
-        // King to empty column
-        if (move.card && move.card.value === 13 && 
-            gameState.tableau[move.to] && gameState.tableau[move.to].length === 0) {
-            score += 300;
+    generateWasteMoves(gameState) {
+        const { tableau, foundations, waste } = gameState;
+        const card = waste[waste.length - 1];
+        if (!card) return [];
+        
+        const moves = [];
+        if (this.engine.canPlaceOnFoundation(card, foundations)) {
+            moves.push({
+                type: 'waste_to_foundation',
+                from: { source: 'waste' },
+                to: { source: 'foundation', suit: card.suit },
+                card: card,
+                count: 1
+            });
         }
+        for (let j = 0; j < tableau.length; j++) {
+            if (this.engine.canPlaceOnTableau(card, tableau[j])) {
+                moves.push({
+                    type: 'waste_to_tableau',
+                    from: { source: 'waste' },
+                    to: { source: 'tableau', index: j },
+                    card: card,
+                    count: 1
+                });
+            }
+        }
+        return this.pruneSymmetricMoves(moves, gameState);
+    }
 
-        return score;
+    stockKey(gameState) {
+        const topOf = pile => (pile.length ? pile[pile.length - 1].id : '-');
+        return `${gameState.stock.length}:${gameState.waste.length}:${topOf(gameState.waste)}`;
     }
 
     /**
-     * Apply move to game state (returns new state or null if invalid)
+     * Play every provably safe foundation move into the node. A card is safe when
+     * both opposite-colour foundations already hold the cards that could sit on it.
+     * Waste cards only auto-play in draw-1, since removing one in draw-3 regroups
+     * the later draws.
      */
-    applyMove(gameState, move) {
-        const newState = this.cloneGameState(gameState);
+    expandSafeMoves(node) {
+        let move;
+        while ((move = this.findSafeMove(node.state))) {
+            node.state = this.applyMove(node.state, move);
+            node.moves.push(move);
+            node.g++;
+        }
+        return node;
+    }
 
-        try {
-            switch (move.type) {
-                case 'stock_to_waste':
-                    if (newState.stock.length > 0) {
-                        const card = newState.stock.pop();
-                        newState.waste.push(card);
-                    }
-                    break;
-
-                case 'waste_to_foundation':
-                    if (newState.waste.length > 0) {
-                        const card = newState.waste.pop();
-                        newState.foundations[move.to].push(card);
-                    }
-                    break;
-
-                case 'waste_to_tableau':
-                    if (newState.waste.length > 0) {
-                        const card = newState.waste.pop();
-                        newState.tableau[move.to].push(card);
-                    }
-                    break;
-
-                case 'tableau_to_foundation':
-                    const fromPile = newState.tableau[move.from];
-                    if (fromPile.length > 0) {
-                        const card = fromPile.pop();
-                        newState.foundations[move.to].push(card);
-                        
-                        // Flip next card if it exists and is face down
-                        if (fromPile.length > 0 && !fromPile[fromPile.length - 1].faceUp) {
-                            fromPile[fromPile.length - 1].faceUp = true;
-                        }
-                    }
-                    break;
-
-                case 'tableau_to_tableau':
-                    const sourcePile = newState.tableau[move.from];
-                    const targetPile = newState.tableau[move.to];
-                    const seqLen = move.sequenceLength || 1;
-                    
-                    if (sourcePile.length >= seqLen) {
-                        const cardsToMove = sourcePile.splice(-seqLen);
-                        targetPile.push(...cardsToMove);
-                        
-                        // Flip next card if it exists and is face down
-                        if (sourcePile.length > 0 && !sourcePile[sourcePile.length - 1].faceUp) {
-                            sourcePile[sourcePile.length - 1].faceUp = true;
-                        }
-                    }
-                    break;
-
-                default:
-                    return null;
+    findSafeMove(gameState) {
+        const { tableau, foundations, waste } = gameState;
+        const isSafe = card => card.faceUp !== false &&
+            this.engine.canPlaceOnFoundation(card, foundations) &&
+            this.isSafeFoundationMove(card, foundations);
+        
+        for (let i = 0; i < tableau.length; i++) {
+            const card = tableau[i][tableau[i].length - 1];
+            if (card && isSafe(card)) {
+                return {
+                    type: 'tableau_to_foundation',
+                    from: { source: 'tableau', index: i },
+                    to: { source: 'foundation', suit: card.suit },
+                    card: card,
+                    count: 1
+                };
             }
-
-            return newState;
-        } catch (error) {
-            return null;
         }
+        
+        const wasteCard = waste[waste.length - 1];
+        if (wasteCard && this.engine.getDrawMode(gameState) === 1 && isSafe(wasteCard)) {
+            return {
+                type: 'waste_to_foundation',
+                from: { source: 'waste' },
+                to: { source: 'foundation', suit: wasteCard.suit },
+                card: wasteCard,
+                count: 1
+            };
+        }
+        return null;
+    }
+
+    isSafeFoundationMove(card, foundations) {
+        if (card.value <= 2) return true;
+        const red = this.engine.isRed(card);
+        return this.engine.SUITS
+            .filter(suit => this.engine.RED_SUITS.has(suit) !== red)
+            .every(suit => (foundations[suit] || []).length >= card.value - 1);
     }
 
     /**
-     * Check if card can be placed on foundation
+     * Empty columns are interchangeable, so only offer moves into the first one
      */
-    canPlaceOnFoundation(card, foundations) {
-        const foundationPile = foundations[card.suit];
-        if (!foundationPile) return false;
+    pruneSymmetricMoves(moves, gameState) {
+        const firstEmpty = gameState.tableau.findIndex(pile => pile.length === 0);
+        return moves.filter(move =>
+            move.to.source !== 'tableau' ||
+            gameState.tableau[move.to.index].length > 0 ||
+            move.to.index === firstEmpty
+        );
+    }
 
-        if (foundationPile.length === 0) {
-            return card.value === 1; // Ace
+    /**
+     * Heuristic distance to a win. In shortest mode only the admissible part
+     * (cards off the foundations) is used; otherwise buried cards are penalised too.
+     */
+    estimateRemaining(gameState) {
+        const remaining = 52 - this.countFoundationCards(gameState);
+        if (this.shortest) return remaining;
+        
+        let faceDown = 0;
+        for (const pile of gameState.tableau) {
+            for (const card of pile) {
+                if (!card.faceUp) faceDown++;
+            }
         }
+        return remaining + faceDown * 2 + Math.ceil(gameState.stock.length / this.engine.getDrawMode(gameState));
+    }
 
-        const topCard = foundationPile[foundationPile.length - 1];
-        return card.value === topCard.value + 1;
+    /**
+     * Check if game is won (all cards in foundations)
+     */
+    isGameWon(gameState) {
+        return this.engine.isGameWon(gameState);
     }
 
     /**
-     * Check if card can be placed on tableau pile
+     * Generate all possible moves from current state
      */
-    canPlaceOnTableau(card, pile) {
-        if (pile.length === 0) {
-            return card.value === 13; // King only
-        }
+    generateAllMoves(gameState) {
+        return this.engine.generateMoves(gameState);
+    }
 
-        const topCard = pile[pile.length - 1];
-        if (!topCard.faceUp) return false;
+    countFoundationCards(gameState) {
+        return Object.values(gameState.foundations).reduce((sum, pile) => sum + pile.length, 0);
+    }
 
-        const isOppositeColor = (card.suit === '♠' || card.suit === '♣') !== 
-                               (topCard.suit === '♠' || topCard.suit === '♣');
-        
-        return isOppositeColor && card.value === topCard.value - 1;
+    /**
+     * Progress event for the page: search size plus the most promising line so far
+     */
+    describeProgress(snapshot) {
+        return {
+            nodesExplored: snapshot.nodesExplored,
+            frontier: snapshot.frontier,
+            depth: snapshot.depth,
+            foundationCards: snapshot.bestNode.foundationCards,
+            bestLine: this.reconstructPath(snapshot.bestNode).map(move => this.compactMove(move))
+        };
+    }
+
+    reconstructPath(node) {
+        const segments = [];
+        for (let current = node; current; current = current.parent) {
+            segments.push(current.moves);
+        }
+        return segments.reverse().flat();
     }
 
     /**
-     * Create hash for game state (for cycle detection)
+     * Apply move to game state (returns new state or null if invalid)
      */
-    hashGameState(gameState) {
-        const tableau = gameState.tableau.map(pile => 
-            pile.map(card => `${card.value}${card.suit}${card.faceUp ? 'U' : 'D'}`).join(',')
-        ).join('|');
-        
-        const foundations = Object.entries(gameState.foundations)
-            .map(([suit, pile]) => `${suit}:${pile.length}`)
-            .join(',');
-        
-        const waste = gameState.waste.length > 0 ? 
-            gameState.waste[gameState.waste.length - 1].value + gameState.waste[gameState.waste.length - 1].suit : 
-            'empty';
-        
-        return `T:${tableau}|F:${foundations}|W:${waste}|S:${gameState.stock.length}`;
+    applyMove(gameState, move) {
+        return this.engine.applyMove(gameState, move);
     }
 
     /**
-     * Deep clone game state
+     * Create hash for game state. Column order is ignored, so positions that only
+     * differ by which columns hold which piles share one table entry.
      */
-    cloneGameState(gameState) {
-        return {
-            tableau: gameState.tableau.map(pile => pile.map(card => ({ ...card }))),
-            foundations: Object.fromEntries(
-                Object.entries(gameState.foundations).map(([suit, pile]) => 
-                    [suit, pile.map(card => ({ ...card }))]
-                )
-            ),
-            stock: gameState.stock.map(card => ({ ...card })),
-            waste: gameState.waste.map(card => ({ ...card })),
-            moves: [...(gameState.moves || [])],
-            startTs: gameState.startTs
-        };
+    hashGameState(gameState) {
+        return this.engine.hashState(gameState, { ignoreColumnOrder: true });
     }
 }
 
-// Worker message handling
-self.onmessage = function(e) {
-    const { action, gameState, maxDepth } = e.data;
+// Worker message handling. Every request carries a requestId; a
+// { action: 'cancel', requestId } message abandons that search.
+const activeSolvers = new Map();
+
+/**
+ * Run one request on a fresh solver and post { action: resultAction, requestId,
+ * result }. A search that throws (on a malformed gameState, say) posts
+ * { requestId, error } instead, so the page fails the request straight away
+ * rather than waiting for its timeout.
+ */
+async function answerRequest(requestId, resultAction, rules, run) {
+    let message;
+    try {
+        const solver = new KlondikeSolver(rules);
+        activeSolvers.set(requestId, solver);
+        message = { action: resultAction, requestId: requestId, result: await run(solver) };
+    } catch (error) {
+        console.error('❌ Solver request failed:', error);
+        message = { action: resultAction, requestId: requestId, error: error.message || String(error) };
+    } finally {
+        activeSolvers.delete(requestId);
+    }
+    self.postMessage(message);
+}
+
+self.onmessage = async function(e) {
+    const { action, requestId, gameState, maxDepth, maxTime, maxStates, shortest, exact, bound, rootSplit, rules } = e.data;
+    const onProgress = progress => {
+        self.postMessage({ action: 'solve_progress', requestId: requestId, progress: progress });
+    };
     
-    if (action === 'solve') {
-        const solver = new KlondikeSolver();
-        const result = solver.solve(gameState, maxDepth);
-        
-        self.postMessage({
-            action: 'solve_result',
-            result: result
-        });
+    if (action === 'cancel') {
+        const solver = activeSolvers.get(requestId);
+        if (solver) solver.cancel();
+    } else if (action === 'solve') {
+        await answerRequest(requestId, 'solve_result', rules, solver => exact ?
+            solver.solveExact(gameState, maxDepth, maxTime, onProgress, bound) :
+            solver.solveAsync(gameState, maxDepth, maxTime, { shortest, rootSplit, maxStates }, onProgress));
+    } else if (action === 'check_progress') {
+        await answerRequest(requestId, 'progress_result', rules, solver => solver.checkProgress(gameState, maxTime));
+    } else if (action === 'find_winnable_deal') {
+        await answerRequest(requestId, 'winnable_deal_result', rules, solver => solver.findWinnableDeal(e.data));
+    } else if (action === 'fair_analysis') {
+        await answerRequest(requestId, 'fair_analysis_result', rules, solver => solver.fairAnalysis(e.data, onProgress));
     }
-}; 
\ No newline at end of file
+};